@@ -1,15 +1,226 @@
 const express = require('express');
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const axios = require('axios');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
+const ExcelJS = require('exceljs');
+const { CronExpressionParser } = require('cron-parser');
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Authentication - API keys and/or JWT bearer tokens, with roles viewer < analyst < admin.
+// Configured through API_KEYS and JWT_SECRET (JWT_DAILY_SESSION_QUOTA sets the default quota for tokens).
+// With neither set, every /api route except PUBLIC_API_PATHS answers 401 - set AUTH_DISABLED=true
+// for local development instead.
+const ROLES = ['viewer', 'analyst', 'admin'];
+const API_KEY_USAGE_COLLECTION = 'api_key_usage';
+// Reachable without credentials, e.g. for load balancer health checks
+const PUBLIC_API_PATHS = ['/health'];
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API_KEYS is a JSON array of { name, key, role, dailySessionQuota }. Keys are kept only as hashes.
+function loadApiKeys() {
+    const apiKeys = new Map();
+    if (!process.env.API_KEYS) {
+        return apiKeys;
+    }
+    
+    let entries;
+    try {
+        entries = JSON.parse(process.env.API_KEYS);
+    } catch (error) {
+        throw new Error(`API_KEYS is not valid JSON: ${error.message}`);
+    }
+    (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+        if (!entry.key || !entry.name || !ROLES.includes(entry.role)) {
+            throw new Error(`API_KEYS[${index}] needs a key, a name and a role (${ROLES.join(', ')})`);
+        }
+        apiKeys.set(hashApiKey(entry.key), {
+            type: 'apiKey',
+            principalId: `key:${entry.name}`,
+            name: entry.name,
+            role: entry.role,
+            dailySessionQuota: entry.dailySessionQuota || null
+        });
+    });
+    return apiKeys;
+}
+
+const API_KEYS = loadApiKeys();
+
+function getRequestCredential(req) {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (bearer) {
+        return bearer[1].trim();
+    }
+    // EventSource can't send headers, so the event stream also takes the token as a query parameter
+    if (req.method === 'GET' && req.path.endsWith('/events') && req.query.access_token) {
+        return String(req.query.access_token);
+    }
+    return null;
+}
+
+// Resolves the caller as { type, principalId, name, role, dailySessionQuota }, or null
+function resolveCredential(credential) {
+    const apiKey = API_KEYS.get(hashApiKey(credential));
+    if (apiKey) {
+        return apiKey;
+    }
+    if (!process.env.JWT_SECRET || credential.split('.').length !== 3) {
+        return null;
+    }
+    
+    try {
+        const claims = jwt.verify(credential, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        if (!claims.sub || !ROLES.includes(claims.role)) {
+            return null;
+        }
+        const defaultQuota = parseInt(process.env.JWT_DAILY_SESSION_QUOTA, 10) || null;
+        return {
+            type: 'jwt',
+            principalId: `jwt:${claims.sub}`,
+            name: claims.name || claims.sub,
+            role: claims.role,
+            dailySessionQuota: claims.dailySessionQuota || defaultQuota
+        };
+    } catch (error) {
+        console.log('🔒 Rejected JWT:', error.message);
+        return null;
+    }
+}
+
+// Applied to every /api route; sets req.auth
+function authenticate(req, res, next) {
+    if (PUBLIC_API_PATHS.includes(req.path)) {
+        return next();
+    }
+    if (AUTH_DISABLED) {
+        req.auth = { type: 'none', principalId: 'anonymous', name: 'anonymous', role: 'admin', dailySessionQuota: null };
+        return next();
+    }
+    
+    const credential = getRequestCredential(req);
+    if (!credential) {
+        return res.status(401).json({ success: false, error: 'Authentication required - send an X-API-Key header or a Bearer token' });
+    }
+    
+    const auth = resolveCredential(credential);
+    if (!auth) {
+        return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+    req.auth = auth;
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (ROLES.indexOf(req.auth?.role) < ROLES.indexOf(role)) {
+            console.log(`🔒 ${req.auth?.name} (${req.auth?.role}) denied ${req.method} ${req.path} - needs ${role}`);
+            return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+function getUsageDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+async function getSessionQuotaUsage(auth) {
+    const db = await getDatabase();
+    const usage = await db.collection(API_KEY_USAGE_COLLECTION).findOne({ principalId: auth.principalId, date: getUsageDate() });
+    const used = usage?.sessions || 0;
+    return {
+        date: getUsageDate(),
+        dailySessionQuota: auth.dailySessionQuota,
+        usedSessions: used,
+        remainingSessions: auth.dailySessionQuota ? Math.max(0, auth.dailySessionQuota - used) : null
+    };
+}
+
+// Reserves `sessionCount` sessions of today's quota (UTC day). Throws with status 429 when it would be exceeded.
+async function reserveSessionQuota(auth, sessionCount) {
+    if (!auth?.dailySessionQuota || sessionCount === 0) {
+        return;
+    }
+    const db = await getDatabase();
+    const collection = db.collection(API_KEY_USAGE_COLLECTION);
+    const date = getUsageDate();
+    
+    await collection.updateOne(
+        { principalId: auth.principalId, date },
+        { $setOnInsert: { sessions: 0, createdAt: new Date() } },
+        { upsert: true }
+    );
+    // Only matches while there is room, so concurrent requests can't overshoot the quota
+    const reserved = await collection.findOneAndUpdate(
+        { principalId: auth.principalId, date, sessions: { $lte: auth.dailySessionQuota - sessionCount } },
+        { $inc: { sessions: sessionCount }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (!reserved) {
+        const { remainingSessions } = await getSessionQuotaUsage(auth);
+        throw Object.assign(
+            new Error(`Daily session quota exceeded: this run needs ${sessionCount} sessions, ${remainingSessions} of ${auth.dailySessionQuota} left today`),
+            { status: 429 }
+        );
+    }
+}
+
+async function releaseSessionQuota(auth, sessionCount, date = getUsageDate()) {
+    if (!auth?.dailySessionQuota || sessionCount === 0) {
+        return;
+    }
+    const db = await getDatabase();
+    await db.collection(API_KEY_USAGE_COLLECTION).updateOne(
+        { principalId: auth.principalId, date },
+        { $inc: { sessions: -sessionCount } }
+    );
+}
+
+// Once a job is over, hands back the quota it reserved but didn't spend. Fresh analyses and
+// failed sessions are charged; cache hits and sessions the job never reached are refunded.
+// The reservation is marked settled first, so a refund can't happen twice.
+async function settleJobQuota(jobId) {
+    const db = await getDatabase();
+    const job = await db.collection(ANALYSIS_JOBS_COLLECTION).findOneAndUpdate(
+        { jobId, 'quota.reservedSessions': { $gt: 0 }, 'quota.settledAt': null },
+        { $set: { 'quota.settledAt': new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (!job) {
+        return;
+    }
+    
+    const { principalId, date, reservedSessions } = job.quota;
+    const refund = reservedSessions - ((job.freshSessions || 0) + (job.failedSessions || 0));
+    if (refund > 0) {
+        await releaseSessionQuota({ principalId, dailySessionQuota: true }, refund, date);
+        console.log(`↩️ Refunded ${refund} of ${reservedSessions} reserved sessions to ${principalId} (job ${jobId})`);
+    }
+}
+
 // Middleware
-app.use(cors());
+// Comma-separated list of allowed browser origins, or "*". Empty (the default) blocks every
+// cross-origin request; same-origin and non-browser clients are unaffected.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS }));
 app.use(express.json());
+app.use('/api', authenticate);
 
 // MongoDB connection
 let mongoClient = null;
@@ -28,33 +239,301 @@ async function connectToMongoDB() {
     }
 }
 
-// Get chat sessions from MongoDB based on date range
-async function getChatSessions(fromDate, toDate) {
-    try {
-        const client = await connectToMongoDB();
-        const db = client.db(process.env.MONGODB_DATABASE || 'fraiday-backend');
-        const collection = db.collection('chat_sessions');
+async function closeMongoDB() {
+    if (mongoClient) {
+        await mongoClient.close();
+        mongoClient = null;
+        console.log('MongoDB connection closed.');
+    }
+}
+
+async function getDatabase() {
+    const client = await connectToMongoDB();
+    return client.db(process.env.MONGODB_DATABASE || 'fraiday-backend');
+}
+
+// Convert date strings to Date objects for MongoDB queries
+function getDateRangeBounds(fromDate, toDate) {
+    const startDate = new Date(fromDate);
+    const endDate = new Date(toDate);
+    endDate.setHours(23, 59, 59, 999); // Include the entire end date
+    return { startDate, endDate };
+}
+
+// Session attribute filters. Each maps to the field names it may be stored under, like the date fields.
+const SESSION_FILTER_FIELDS = {
+    clientId: ['client_id', 'clientId'],
+    botId: ['bot_id', 'botId', 'workflow_id', 'workflowId'],
+    channel: ['channel'],
+    language: ['language', 'lang']
+};
+const SESSION_SAMPLING_MODES = ['first', 'random', 'stratified'];
+// Two-sided z values for the supported confidence levels
+const CONFIDENCE_LEVEL_Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.98: 2.3263, 0.99: 2.5758 };
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
+const MAX_FILTER_SESSION_IDS = 10000;
+
+// Validates the filter part of a request body. Throws a message suitable for a 400.
+function resolveSessionFilter(body = {}) {
+    const filter = {};
+    
+    [...Object.keys(SESSION_FILTER_FIELDS), 'tags'].forEach(name => {
+        if (body[name] === undefined || body[name] === null || body[name] === '') {
+            return;
+        }
+        const values = Array.isArray(body[name]) ? body[name] : String(body[name]).split(',');
+        const cleaned = values.map(value => String(value).trim()).filter(Boolean);
+        if (cleaned.length === 0) {
+            throw new Error(`${name} must be a non-empty string or array of strings`);
+        }
+        filter[name] = cleaned;
+    });
+    
+    if (body.sessionIds !== undefined && body.sessionIds !== null) {
+        if (!Array.isArray(body.sessionIds) || body.sessionIds.length === 0 || body.sessionIds.length > MAX_FILTER_SESSION_IDS ||
+            !body.sessionIds.every(sessionId => typeof sessionId === 'string' && sessionId !== '')) {
+            throw new Error(`sessionIds must be an array of 1-${MAX_FILTER_SESSION_IDS} session id strings`);
+        }
+        filter.sessionIds = [...new Set(body.sessionIds)];
+    }
+    
+    if (body.minMessages !== undefined && body.minMessages !== null) {
+        const minMessages = Number(body.minMessages);
+        if (!Number.isInteger(minMessages) || minMessages < 1) {
+            throw new Error('minMessages must be a positive integer');
+        }
+        filter.minMessages = minMessages;
+    }
+    
+    const hasLimit = body.limit !== undefined && body.limit !== null;
+    const hasMarginOfError = body.marginOfError !== undefined && body.marginOfError !== null;
+    if (hasLimit && hasMarginOfError) {
+        throw new Error('Use either limit or marginOfError, not both');
+    }
+    if (!hasLimit && !hasMarginOfError) {
+        if (body.sampling !== undefined) {
+            throw new Error('sampling requires limit or marginOfError');
+        }
+        return filter;
+    }
+    
+    if (hasLimit) {
+        const limit = Number(body.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('limit must be a positive integer');
+        }
+        filter.limit = limit;
+    } else {
+        const marginOfError = Number(body.marginOfError);
+        if (Number.isNaN(marginOfError) || marginOfError <= 0 || marginOfError >= 0.5) {
+            throw new Error('marginOfError must be a number between 0 and 0.5 (e.g. 0.05 for ±5%)');
+        }
+        filter.marginOfError = marginOfError;
+    }
+    
+    filter.sampling = body.sampling || (hasLimit ? 'first' : 'random');
+    if (!SESSION_SAMPLING_MODES.includes(filter.sampling)) {
+        throw new Error(`sampling must be one of ${SESSION_SAMPLING_MODES.join(', ')}`);
+    }
+    if (filter.sampling === 'first') {
+        if (hasMarginOfError) {
+            throw new Error('marginOfError requires random or stratified sampling');
+        }
+        return filter;
+    }
+    
+    if (filter.sampling === 'stratified') {
+        filter.stratifyBy = body.stratifyBy || 'day';
+        if (!SAMPLE_STRATA[filter.stratifyBy]) {
+            throw new Error(`stratifyBy must be one of ${Object.keys(SAMPLE_STRATA).join(', ')}`);
+        }
+    }
+    
+    filter.confidenceLevel = body.confidenceLevel !== undefined ? Number(body.confidenceLevel) : DEFAULT_CONFIDENCE_LEVEL;
+    if (!CONFIDENCE_LEVEL_Z[filter.confidenceLevel]) {
+        throw new Error(`confidenceLevel must be one of ${Object.keys(CONFIDENCE_LEVEL_Z).join(', ')}`);
+    }
+    // Kept with the filter so a resumed job draws the same sample
+    filter.seed = body.seed !== undefined ? String(body.seed) : crypto.randomUUID();
+    
+    return filter;
+}
+
+// Mongo conditions for the attribute filters, ANDed with the date range
+function buildSessionFilterConditions(filter = {}) {
+    const conditions = [];
+    
+    Object.entries(SESSION_FILTER_FIELDS).forEach(([name, fields]) => {
+        if (filter[name]) {
+            conditions.push({ $or: fields.map(field => ({ [field]: { $in: filter[name] } })) });
+        }
+    });
+    if (filter.tags) {
+        // Sessions must carry every requested tag
+        conditions.push({ tags: { $all: filter.tags } });
+    }
+    if (filter.minMessages) {
+        conditions.push({ [`messages.${filter.minMessages - 1}`]: { $exists: true } });
+    }
+    if (filter.sessionIds) {
+        conditions.push(buildSessionIdCondition(filter.sessionIds));
+    }
+    
+    return conditions;
+}
+
+// Matches sessions by the ids getSessionId reports: ObjectId or string _id, `id` or `session_id`
+function buildSessionIdCondition(sessionIds) {
+    const objectIds = sessionIds.filter(sessionId => /^[0-9a-f]{24}$/i.test(sessionId)).map(sessionId => new ObjectId(sessionId));
+    return {
+        $or: [
+            { _id: { $in: [...objectIds, ...sessionIds] } },
+            { id: { $in: sessionIds } },
+            { session_id: { $in: sessionIds } }
+        ]
+    };
+}
+
+// Strata for stratified sampling
+const SAMPLE_STRATA = {
+    day: session => {
+        const date = getSessionDate(session);
+        return date ? date.toISOString().slice(0, 10) : UNKNOWN_SEGMENT;
+    },
+    clientId: session => getSessionAttributes(session).clientId || UNKNOWN_SEGMENT,
+    botId: session => getSessionAttributes(session).botId || UNKNOWN_SEGMENT,
+    channel: session => getSessionAttributes(session).channel || UNKNOWN_SEGMENT,
+    language: session => getSessionAttributes(session).language || UNKNOWN_SEGMENT
+};
+
+// Sample size for estimating a proportion to ±marginOfError, worst case p = 0.5, with finite population correction
+function getRequiredSampleSize(populationSize, marginOfError, confidenceLevel) {
+    if (populationSize === 0) {
+        return 0;
+    }
+    const z = CONFIDENCE_LEVEL_Z[confidenceLevel];
+    const infiniteSize = (z * z * 0.25) / (marginOfError * marginOfError);
+    return Math.min(populationSize, Math.ceil(infiniteSize / (1 + (infiniteSize - 1) / populationSize)));
+}
+
+// Deterministic random pick: the `count` sessions with the smallest seeded hash
+function pickSeededSessions(sessions, count, seed) {
+    const rank = session => crypto.createHash('sha256').update(`${seed}:${getSessionId(session)}`).digest('hex');
+    return sessions
+        .map(session => ({ session, rank: rank(session) }))
+        .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0))
+        .slice(0, count)
+        .map(({ session }) => session);
+}
+
+// What sampleSessions reads from a session: its id, its date and the attributes it can stratify by
+const SAMPLING_PROJECTION = Object.fromEntries(
+    ['_id', 'id', 'session_id', 'createdAt', 'timestamp', 'created_at', ...Object.values(SESSION_FILTER_FIELDS).flat()]
+        .map(field => [field, 1])
+);
+
+// Random or stratified sample of `size` sessions, kept in _id order.
+// Strata get proportional allocation (largest remainder), so the sample stays self-weighting.
+function sampleSessions(sessions, size, filter) {
+    let picked;
+    if (filter.sampling === 'stratified') {
+        const strata = new Map();
+        sessions.forEach(session => {
+            const stratum = SAMPLE_STRATA[filter.stratifyBy](session);
+            if (!strata.has(stratum)) {
+                strata.set(stratum, []);
+            }
+            strata.get(stratum).push(session);
+        });
         
-        // Convert date strings to Date objects for MongoDB query
-        const startDate = new Date(fromDate);
-        const endDate = new Date(toDate);
-        endDate.setHours(23, 59, 59, 999); // Include the entire end date
+        const allocations = [...strata.entries()].map(([stratum, members]) => {
+            const exact = (members.length / sessions.length) * size;
+            return { stratum, members, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+        });
+        let unallocated = size - allocations.reduce((sum, allocation) => sum + allocation.count, 0);
+        [...allocations]
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(allocation => {
+                if (unallocated > 0 && allocation.count < allocation.members.length) {
+                    allocation.count++;
+                    unallocated--;
+                }
+            });
         
-        console.log(`🔍 Querying sessions from ${startDate} to ${endDate}`);
+        picked = allocations.flatMap(({ stratum, members, count }) => pickSeededSessions(members, count, `${filter.seed}:${stratum}`));
+    } else {
+        picked = pickSeededSessions(sessions, size, filter.seed);
+    }
+    
+    const sampled = new Set(picked);
+    return sessions.filter(session => sampled.has(session));
+}
+
+function buildChatSessionQuery(fromDate, toDate, filter = {}) {
+    const { startDate, endDate } = getDateRangeBounds(fromDate, toDate);
+    
+    console.log(`🔍 Querying sessions from ${startDate} to ${endDate}`);
+    
+    // Query sessions within date range
+    const dateQuery = {
+        $or: [
+            { createdAt: { $gte: startDate, $lte: endDate } },
+            { timestamp: { $gte: startDate, $lte: endDate } },
+            { created_at: { $gte: startDate, $lte: endDate } }
+        ]
+    };
+    const filterConditions = buildSessionFilterConditions(filter);
+    return filterConditions.length > 0 ? { $and: [dateQuery, ...filterConditions] } : dateQuery;
+}
+
+// How many of `populationSize` matching sessions the filter's limit or sampling selects
+function getSampleSize(populationSize, filter = {}) {
+    if (!filter.sampling) {
+        return populationSize;
+    }
+    const size = filter.limit || getRequiredSampleSize(populationSize, filter.marginOfError, filter.confidenceLevel);
+    return Math.min(populationSize, size);
+}
+
+// Counts getChatSessionSample would report, without loading any sessions: { count, populationSize }
+async function countChatSessionSample(fromDate, toDate, filter = {}) {
+    const db = await getDatabase();
+    const populationSize = await db.collection('chat_sessions').countDocuments(buildChatSessionQuery(fromDate, toDate, filter));
+    return { count: getSampleSize(populationSize, filter), populationSize };
+}
+
+// Get chat sessions from MongoDB based on date range and optional attribute filter.
+// Resolves to { sessions, populationSize } - the latter is how many matched before any limit or sampling.
+async function getChatSessionSample(fromDate, toDate, filter = {}) {
+    try {
+        const db = await getDatabase();
+        const collection = db.collection('chat_sessions');
         
-        // Query sessions within date range
-        const query = {
-            $or: [
-                { createdAt: { $gte: startDate, $lte: endDate } },
-                { timestamp: { $gte: startDate, $lte: endDate } },
-                { created_at: { $gte: startDate, $lte: endDate } }
-            ]
-        };
+        const query = buildChatSessionQuery(fromDate, toDate, filter);
         
         console.log('📋 MongoDB Query:', JSON.stringify(query, null, 2));
         
-        const sessions = await collection.find(query).toArray();
-        console.log(`📊 Found ${sessions.length} sessions in date range`);
+        // Stable order so an interrupted job resumes against the same sequence
+        let sessions;
+        let populationSize;
+        if (filter.sampling === 'first') {
+            [sessions, populationSize] = await Promise.all([
+                collection.find(query).sort({ _id: 1 }).limit(filter.limit).toArray(),
+                collection.countDocuments(query)
+            ]);
+        } else if (filter.sampling) {
+            // Sample over lightweight stubs, then load only the picked sessions
+            const candidates = await collection.find(query, { projection: SAMPLING_PROJECTION }).sort({ _id: 1 }).toArray();
+            populationSize = candidates.length;
+            const sampledIds = sampleSessions(candidates, getSampleSize(populationSize, filter), filter).map(session => session._id);
+            sessions = sampledIds.length > 0
+                ? await collection.find({ _id: { $in: sampledIds } }).sort({ _id: 1 }).toArray()
+                : [];
+        } else {
+            sessions = await collection.find(query).sort({ _id: 1 }).toArray();
+            populationSize = sessions.length;
+        }
+        console.log(`📊 Found ${populationSize} sessions in date range${filter.sampling ? `, ${sessions.length} selected (${filter.sampling})` : ''}`);
         
         // Log first session structure for debugging
         if (sessions.length > 0) {
@@ -63,29 +542,68 @@ async function getChatSessions(fromDate, toDate) {
             console.log('Session sample:', JSON.stringify(sessions[0], null, 2));
         }
         
-        return sessions;
+        return { sessions, populationSize };
     } catch (error) {
         console.error('❌ Error retrieving chat sessions:', error);
         throw error;
     }
 }
 
-// Call workflow API for session analysis
-async function analyzeSession(sessionId) {
+// Ids of the sessions in a date range, without loading their transcripts
+async function getChatSessionIds(fromDate, toDate, filter = {}) {
+    const db = await getDatabase();
+    const sessions = await db.collection('chat_sessions')
+        .find(buildChatSessionQuery(fromDate, toDate, filter), { projection: { _id: 1 } })
+        .sort({ _id: 1 })
+        .toArray();
+    return sessions.map(getSessionId).filter(Boolean);
+}
+
+// Evaluator backends. Each turns one chat session into an analysis object in the workflow API's shape.
+// `describe` identifies the backend and its version, so cached analyses are only reused from the same one.
+const DEFAULT_EVALUATOR = process.env.ANALYSIS_EVALUATOR || 'workflow';
+
+// Normalized transcript: [{ role: 'user' | 'assistant' | 'agent' | 'system', content, timestamp }]
+const MESSAGE_ROLE_ALIASES = {
+    user: ['user', 'human', 'customer', 'client', 'visitor'],
+    assistant: ['assistant', 'bot', 'ai', 'model'],
+    agent: ['agent', 'operator', 'human_agent', 'support', 'staff'],
+    system: ['system', 'tool', 'function']
+};
+
+function normalizeMessageRole(role) {
+    const value = String(role || '').toLowerCase();
+    return Object.keys(MESSAGE_ROLE_ALIASES).find(canonical => MESSAGE_ROLE_ALIASES[canonical].includes(value)) || 'user';
+}
+
+function getSessionMessages(session) {
+    const messages = session.messages || session.conversation || session.chat_history || [];
+    return (Array.isArray(messages) ? messages : []).map(message => {
+        const timestamp = message.timestamp || message.createdAt || message.created_at;
+        return {
+            role: normalizeMessageRole(message.role || message.sender || message.type),
+            content: typeof message.content === 'string' ? message.content : (message.text || message.message || ''),
+            timestamp: timestamp ? new Date(timestamp) : null
+        };
+    });
+}
+
+// Call workflow API for session analysis. `signal` lets a cancelled run abort the request.
+async function callWorkflowApi(sessionId, config = {}, { signal } = {}) {
     const payload = {
-        id: process.env.WORKFLOW_ID,
+        id: config.workflowId || process.env.WORKFLOW_ID,
         input_args: {
-            user_id: "dashboard_user",
+            user_id: config.userId || "dashboard_user",
             human_msg: sessionId,
             session_id: sessionId,
-            client_id: "dashboard_client",
-            metadata: "{}"
+            client_id: config.clientId || "dashboard_client",
+            metadata: config.metadata !== undefined ? JSON.stringify(config.metadata) : "{}"
         }
     };
     
     console.log('📤 Sending to workflow API:');
     console.log('- URL:', process.env.WORKFLOW_API_URL);
-    console.log('- Workflow ID:', process.env.WORKFLOW_ID);
+    console.log('- Workflow ID:', payload.id);
     console.log('- Session ID:', sessionId);
     console.log('- Full payload:', JSON.stringify(payload, null, 2));
     
@@ -101,7 +619,8 @@ async function analyzeSession(sessionId) {
                 'Accept': 'application/json, text/plain, */*',
                 'Content-Type': 'application/json'
             },
-            timeout: 300000 // 300 second timeout per request
+            timeout: 300000, // 300 second timeout per request
+            signal
         });
         
         const requestEnd = Date.now();
@@ -124,6 +643,11 @@ async function analyzeSession(sessionId) {
         
         return response.data.result;
     } catch (error) {
+        if (axios.isCancel(error)) {
+            console.log(`🛑 Request for session ${sessionId} was cancelled`);
+            throw error;
+        }
+        
         console.error(`❌ Error analyzing session ${sessionId}:`);
         console.error('- Error message:', error.message);
         console.error('- Error code:', error.code);
@@ -142,573 +666,5833 @@ async function analyzeSession(sessionId) {
     }
 }
 
-// Function to normalize analysis results for case consistency
-function normalizeAnalysisResult(result) {
-    if (!result || typeof result !== 'object') {
-        return result;
+// OpenAI-compatible chat completions. The endpoint and key come from the environment, the model per run.
+const OPENAI_PROMPT_VERSION = 'prompt-v1';
+
+function buildTranscript(session) {
+    return getSessionMessages(session)
+        .filter(message => message.role !== 'system')
+        .map(message => `[${message.timestamp ? message.timestamp.toISOString() : 'unknown time'}] ${message.role}: ${message.content}`)
+        .join('\n');
+}
+
+// Skeleton of the expected JSON, with each field's allowed values spelled out
+function buildAnalysisResponseTemplate() {
+    const template = {};
+    Object.entries(ANALYSIS_SCHEMA).forEach(([path, { type }]) => {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), template);
+        const vocabulary = ANALYSIS_FIELD_VOCABULARY[path];
+        parent[keys[keys.length - 1]] = vocabulary ? vocabulary.join(' | ') : type;
+    });
+    template.human_escalation.reason = 'string, only when escalated';
+    return template;
+}
+
+function buildEvaluationMessages(session) {
+    return [
+        {
+            role: 'system',
+            content: 'You evaluate customer-support chatbot conversations. Reply with a single JSON object and nothing else, ' +
+                'using exactly this structure and only the listed values:\n' +
+                JSON.stringify(buildAnalysisResponseTemplate(), null, 2) +
+                '\nLatency: judge the gaps between each user message and the reply that follows it.'
+        },
+        {
+            role: 'user',
+            content: `Conversation transcript (session ${getSessionId(session)}):\n${buildTranscript(session) || '(no messages)'}`
+        }
+    ];
+}
+
+// Accepts bare JSON, fenced ```json blocks or JSON surrounded by prose
+function parseJsonResponse(content) {
+    const text = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            return JSON.parse(text.slice(start, end + 1));
+        }
+        throw error;
     }
+}
+
+async function callChatCompletions(session, config = {}, { signal } = {}) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const model = config.model || process.env.OPENAI_MODEL;
     
-    const normalized = { ...result };
+    console.log(`📤 Sending session ${getSessionId(session)} to ${baseUrl} (${model})`);
+    const response = await axios.post(`${baseUrl}/chat/completions`, {
+        model,
+        messages: buildEvaluationMessages(session),
+        temperature: config.temperature !== undefined ? config.temperature : 0,
+        ...(config.maxTokens && { max_tokens: config.maxTokens }),
+        ...(config.jsonMode !== false && { response_format: { type: 'json_object' } })
+    }, {
+        headers: {
+            ...(process.env.OPENAI_API_KEY && { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` }),
+            'Content-Type': 'application/json'
+        },
+        timeout: 300000,
+        signal
+    });
     
-    // Normalize accuracy_level to lowercase
-    if (normalized.accuracy_level && typeof normalized.accuracy_level === 'string') {
-        normalized.accuracy_level = normalized.accuracy_level.toLowerCase();
+    const content = response.data?.choices?.[0]?.message?.content;
+    try {
+        return parseJsonResponse(content);
+    } catch (error) {
+        console.error(`❌ Could not parse evaluator response for session ${getSessionId(session)}:`, String(content).slice(0, 500));
+        throw Object.assign(new Error(`Evaluator returned invalid JSON: ${error.message}`), { errorClass: 'invalid_response' });
     }
-    
-    // Normalize other boolean/status fields that might have case issues
-    if (normalized.is_chat_completed && typeof normalized.is_chat_completed === 'string') {
-        normalized.is_chat_completed = normalized.is_chat_completed.toLowerCase();
+}
+
+// Rule-based evaluator - no network. Only reports what the transcript shows directly (latency,
+// completion, escalation); fields it can't observe are left out and show up as missing in data quality.
+const RULE_EVALUATOR_VERSION = 1;
+const ESCALATION_PHRASES = /\b(transfer(ring)? you to|connect(ing)? you (to|with)|human agent|live agent|hand(ing)? (you )?over to)\b/i;
+
+// Adds `latencyMs` to each bot or agent reply: the time since the first user message it answers
+function annotateReplyLatencies(messages) {
+    let pendingUserMessage = null;
+    return messages.map(message => {
+        let latencyMs = null;
+        if (message.role === 'user') {
+            pendingUserMessage = pendingUserMessage || message;
+        } else if ((message.role === 'assistant' || message.role === 'agent') && pendingUserMessage) {
+            if (pendingUserMessage.timestamp && message.timestamp) {
+                latencyMs = message.timestamp - pendingUserMessage.timestamp;
+            }
+            pendingUserMessage = null;
+        }
+        return { ...message, latencyMs };
+    });
+}
+
+function getReplyLatencies(messages) {
+    return annotateReplyLatencies(messages)
+        .map(message => message.latencyMs)
+        .filter(latencyMs => latencyMs !== null);
+}
+
+// Mean reply latency thresholds for 'good' and 'average'; anything slower is 'bad'
+const DEFAULT_GOOD_LATENCY_MS = 5000;
+const DEFAULT_AVERAGE_LATENCY_MS = 15000;
+
+function classifyLatency(meanLatencyMs, { goodLatencyMs = DEFAULT_GOOD_LATENCY_MS, averageLatencyMs = DEFAULT_AVERAGE_LATENCY_MS } = {}) {
+    if (meanLatencyMs === null || meanLatencyMs === undefined) {
+        return null;
     }
-    
-    if (normalized.overall_latency_classification && typeof normalized.overall_latency_classification === 'string') {
-        normalized.overall_latency_classification = normalized.overall_latency_classification.toLowerCase();
+    return meanLatencyMs <= goodLatencyMs ? 'good' : meanLatencyMs <= averageLatencyMs ? 'average' : 'bad';
+}
+
+// Evidence of a hand-over to a human, in transcript order. The session-level flag comes first
+// and has no position. `messageIndex` refers to the `messages` passed in.
+function getEscalationEvents(session, messages) {
+    const events = [];
+    if ([session.escalated, session.is_escalated, session.handoff].some(flag => flag === true)) {
+        events.push({ type: 'session_flag', messageIndex: null, at: null });
     }
     
-    // Normalize nested object values
-    if (normalized.human_escalation?.is_escalated) {
-        normalized.human_escalation.is_escalated = normalized.human_escalation.is_escalated.toLowerCase();
+    const handoffIndex = messages.findIndex(message => message.role === 'assistant' && ESCALATION_PHRASES.test(message.content));
+    const agentIndex = messages.findIndex(message => message.role === 'agent');
+    [['bot_handoff', handoffIndex], ['agent_joined', agentIndex]]
+        .filter(([, index]) => index !== -1)
+        .sort(([, a], [, b]) => a - b)
+        .forEach(([type, index]) => events.push({ type, messageIndex: index, at: messages[index].timestamp }));
+    
+    return events;
+}
+
+function evaluateSessionByRules(session, config = {}) {
+    const messages = getSessionMessages(session).filter(message => message.role !== 'system');
+    const analysis = {};
+    
+    const latencies = getReplyLatencies(messages);
+    if (latencies.length > 0) {
+        analysis.overall_latency_classification = classifyLatency(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length, {
+            goodLatencyMs: config.goodLatencyMs || DEFAULT_GOOD_LATENCY_MS,
+            averageLatencyMs: config.averageLatencyMs || DEFAULT_AVERAGE_LATENCY_MS
+        });
     }
     
-    if (normalized.issue_status?.status) {
-        normalized.issue_status.status = normalized.issue_status.status.toLowerCase();
+    if (messages.length > 0) {
+        // Completed when the last word wasn't an unanswered user message
+        analysis.is_chat_completed = messages[messages.length - 1].role === 'user' ? 'no' : 'yes';
     }
     
-    if (normalized.escalation_necessity?.was_escalation_necessary) {
-        normalized.escalation_necessity.was_escalation_necessary = normalized.escalation_necessity.was_escalation_necessary.toLowerCase();
+    const escalationTypes = getEscalationEvents(session, messages).map(event => event.type);
+    analysis.human_escalation = {
+        is_escalated: escalationTypes.length > 0 ? 'yes' : 'no',
+        ...(escalationTypes.includes('agent_joined') && { reason: 'human agent joined the conversation' }),
+        ...(!escalationTypes.includes('agent_joined') && escalationTypes.includes('bot_handoff') && { reason: 'bot handed the conversation over' }),
+        ...(escalationTypes.length === 1 && escalationTypes[0] === 'session_flag' && { reason: 'session flagged as escalated' })
+    };
+    
+    return analysis;
+}
+
+// Transcript metrics - facts measured from the chat_sessions document itself, stored with every
+// result next to the judge's analysis. The judge's latency class is checked against them.
+const TRANSCRIPT_METRICS_VERSION = 1;
+
+// Linear interpolation between the closest ranks of an ascending array
+function getPercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) {
+        return null;
     }
+    const rank = (sortedValues.length - 1) * percentile / 100;
+    const lower = Math.floor(rank);
+    return Math.round(sortedValues[lower] + (sortedValues[Math.ceil(rank)] - sortedValues[lower]) * (rank - lower));
+}
+
+function summarizeMessageLengths(messages) {
+    const lengths = messages.map(message => message.content.length);
+    return {
+        messages: lengths.length,
+        meanChars: lengths.length > 0 ? Math.round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length) : null,
+        maxChars: lengths.length > 0 ? Math.max(...lengths) : null
+    };
+}
+
+function computeTranscriptMetrics(session) {
+    const messages = annotateReplyLatencies(getSessionMessages(session));
+    const byRole = role => messages.filter(message => message.role === role);
+    const timestamps = messages
+        .map(message => message.timestamp)
+        .filter(timestamp => timestamp && !Number.isNaN(timestamp.getTime()));
+    
+    // Bot replies only - a human agent's response time says nothing about the bot
+    const botLatencies = byRole('assistant')
+        .map(message => message.latencyMs)
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b);
+    const meanLatency = botLatencies.length > 0 ? Math.round(botLatencies.reduce((sum, latency) => sum + latency, 0) / botLatencies.length) : null;
+    
+    // From the first user message to the first reply by the bot or an agent
+    const firstUserIndex = messages.findIndex(message => message.role === 'user');
+    const firstReply = firstUserIndex === -1 ? null : messages.find((message, index) => index > firstUserIndex && (message.role === 'assistant' || message.role === 'agent'));
+    const firstResponseMs = firstReply?.timestamp && messages[firstUserIndex].timestamp ? firstReply.timestamp - messages[firstUserIndex].timestamp : NaN;
     
-    if (normalized.bot_tone?.tone) {
-        normalized.bot_tone.tone = normalized.bot_tone.tone.toLowerCase();
+    const escalationEvents = getEscalationEvents(session, messages);
+    
+    return {
+        version: TRANSCRIPT_METRICS_VERSION,
+        turns: {
+            total: messages.length - byRole('system').length,
+            user: byRole('user').length,
+            bot: byRole('assistant').length,
+            agent: byRole('agent').length
+        },
+        firstResponseMs: Number.isFinite(firstResponseMs) ? firstResponseMs : null,
+        durationMs: timestamps.length > 1 ? Math.max(...timestamps) - Math.min(...timestamps) : null,
+        botLatencyMs: {
+            replies: botLatencies.length,
+            mean: meanLatency,
+            p50: getPercentile(botLatencies, 50),
+            p90: getPercentile(botLatencies, 90),
+            p95: getPercentile(botLatencies, 95),
+            max: botLatencies.length > 0 ? botLatencies[botLatencies.length - 1] : null
+        },
+        measuredLatencyClass: classifyLatency(meanLatency),
+        escalation: {
+            escalated: escalationEvents.length > 0,
+            events: escalationEvents
+        },
+        messageLength: {
+            user: summarizeMessageLengths(byRole('user')),
+            bot: summarizeMessageLengths(byRole('assistant'))
+        }
+    };
+}
+
+// The judge's overall_latency_classification against the class of the measured mean bot latency.
+// null when either is unknown.
+function checkLatencyClassification(analysis, transcriptMetrics) {
+    const reported = analysis?.overall_latency_classification;
+    const measured = transcriptMetrics?.measuredLatencyClass;
+    if (!reported || !measured) {
+        return null;
+    }
+    return { reported, measured, agrees: reported === measured, meanBotLatencyMs: transcriptMetrics.botLatencyMs.mean };
+}
+
+const EVALUATORS = {
+    workflow: {
+        configKeys: ['workflowId', 'userId', 'clientId', 'metadata'],
+        describe: config => ({
+            evaluator: 'workflow',
+            workflowId: config.workflowId || process.env.WORKFLOW_ID || null,
+            workflowVersion: process.env.WORKFLOW_VERSION || null
+        }),
+        analyze: (session, config, { signal }) => callWorkflowApi(getSessionId(session), config, { signal })
+    },
+    openai: {
+        configKeys: ['model', 'temperature', 'maxTokens', 'jsonMode'],
+        describe: config => ({
+            evaluator: 'openai',
+            workflowId: config.model || process.env.OPENAI_MODEL || null,
+            workflowVersion: `${OPENAI_PROMPT_VERSION}/t${config.temperature !== undefined ? config.temperature : 0}`
+        }),
+        analyze: callChatCompletions
+    },
+    rules: {
+        // Runs locally, so it skips the request rate limit
+        local: true,
+        configKeys: ['goodLatencyMs', 'averageLatencyMs'],
+        describe: () => ({ evaluator: 'rules', workflowId: 'rules', workflowVersion: String(RULE_EVALUATOR_VERSION) }),
+        analyze: async (session, config) => evaluateSessionByRules(session, config)
+    }
+};
+
+// Validates the evaluator part of a run request. Throws a message suitable for a 400.
+function resolveEvaluatorOptions(body = {}) {
+    const evaluator = body.evaluator || DEFAULT_EVALUATOR;
+    if (!EVALUATORS[evaluator]) {
+        throw new Error(`evaluator must be one of ${Object.keys(EVALUATORS).join(', ')}`);
     }
     
-    if (normalized.user_sentiment?.sentiment) {
-        normalized.user_sentiment.sentiment = normalized.user_sentiment.sentiment.toLowerCase();
+    const evaluatorConfig = body.evaluatorConfig || {};
+    if (typeof evaluatorConfig !== 'object' || Array.isArray(evaluatorConfig)) {
+        throw new Error('evaluatorConfig must be an object');
+    }
+    const unknownKeys = Object.keys(evaluatorConfig).filter(key => !EVALUATORS[evaluator].configKeys.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown evaluatorConfig for ${evaluator}: ${unknownKeys.join(', ')} (allowed: ${EVALUATORS[evaluator].configKeys.join(', ')})`);
+    }
+    if (evaluator === 'openai' && !evaluatorConfig.model && !process.env.OPENAI_MODEL) {
+        throw new Error('The openai evaluator needs evaluatorConfig.model or OPENAI_MODEL');
     }
     
-    if (normalized.response_quality) {
-        const quality = normalized.response_quality;
-        if (quality.is_clear && typeof quality.is_clear === 'string') {
-            quality.is_clear = quality.is_clear.toLowerCase();
-        }
-        if (quality.is_concise && typeof quality.is_concise === 'string') {
-            quality.is_concise = quality.is_concise.toLowerCase();
-        }
-        if (quality.is_easy_to_understand && typeof quality.is_easy_to_understand === 'string') {
-            quality.is_easy_to_understand = quality.is_easy_to_understand.toLowerCase();
-        }
-        if (quality.is_relevant && typeof quality.is_relevant === 'string') {
-            quality.is_relevant = quality.is_relevant.toLowerCase();
-        }
-        if (quality.overall_quality_score && typeof quality.overall_quality_score === 'string') {
-            quality.overall_quality_score = quality.overall_quality_score.toLowerCase();
+    return { evaluator, evaluatorConfig };
+}
+
+function getEvaluatorInfo(options = {}) {
+    const evaluator = options.evaluator || DEFAULT_EVALUATOR;
+    const info = EVALUATORS[evaluator].describe(options.evaluatorConfig || {});
+    // Mocked analyses are tagged so they are never reused by a live run
+    if (getEvaluatorMode() === 'mock' && !EVALUATORS[evaluator].local) {
+        return { ...info, workflowVersion: info.workflowVersion ? `${info.workflowVersion}+mock` : 'mock' };
+    }
+    return info;
+}
+
+// Fixture modes for remote evaluators: 'live' calls the backend, 'mock' answers from
+// recorded fixtures keyed by session id, 'record' calls the backend and saves its response.
+// Fixtures live in FIXTURES_DIR/<evaluator>/<sessionId>.json. Local evaluators always run live.
+const EVALUATOR_MODES = ['live', 'mock', 'record'];
+// Object keys whose string values are never written to a fixture
+const SECRET_KEY_PATTERN = /password|secret|token|api[_-]?key|authorization/i;
+const SECRET_ENV_VARS = ['API_USERNAME', 'API_PASSWORD', 'OPENAI_API_KEY', 'JWT_SECRET', 'ALERT_WEBHOOK_SECRET'];
+
+function getEvaluatorMode() {
+    const mode = process.env.EVALUATOR_MODE || 'live';
+    if (!EVALUATOR_MODES.includes(mode)) {
+        throw new Error(`EVALUATOR_MODE must be one of ${EVALUATOR_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function getFixturePath(evaluator, sessionId) {
+    const fixturesDir = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+    return path.join(fixturesDir, evaluator, `${String(sessionId).replace(/[^\w-]/g, '_')}.json`);
+}
+
+// Deep copy with secret-looking keys and the values of known secret env vars masked
+function redactSecrets(value, secrets = SECRET_ENV_VARS.map(name => process.env[name]).filter(secret => secret && secret.length >= 4)) {
+    if (typeof value === 'string') {
+        return secrets.reduce((text, secret) => text.split(secret).join('[REDACTED]'), value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item, secrets));
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const redacted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            redacted[key] = SECRET_KEY_PATTERN.test(key) && typeof item === 'string' ? '[REDACTED]' : redactSecrets(item, secrets);
+        });
+        return redacted;
+    }
+    return value;
+}
+
+async function readAnalysisFixture(evaluator, sessionId) {
+    const fixturePath = getFixturePath(evaluator, sessionId);
+    try {
+        const fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+        return fixture.result;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw Object.assign(new Error(`No ${evaluator} fixture recorded for session ${sessionId}`), { errorClass: 'fixture_missing' });
         }
+        throw error;
+    }
+}
+
+async function writeAnalysisFixture(evaluator, sessionId, evaluatorConfig, result) {
+    const fixturePath = getFixturePath(evaluator, sessionId);
+    const fixture = redactSecrets({
+        sessionId,
+        evaluator,
+        recordedAt: new Date().toISOString(),
+        config: evaluatorConfig,
+        result
+    });
+    
+    await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.promises.writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+    console.log(`📼 Recorded ${evaluator} fixture for session ${sessionId}`);
+}
+
+// Analyzes one session with the run's evaluator backend
+async function analyzeSession(session, { evaluator = DEFAULT_EVALUATOR, evaluatorConfig = {}, signal } = {}) {
+    const backend = EVALUATORS[evaluator];
+    const mode = backend.local ? 'live' : getEvaluatorMode();
+    
+    if (mode === 'mock') {
+        return readAnalysisFixture(evaluator, getSessionId(session));
+    }
+    
+    const result = await backend.analyze(session, evaluatorConfig, { signal });
+    if (mode === 'record') {
+        await writeAnalysisFixture(evaluator, getSessionId(session), evaluatorConfig, result);
+    }
+    return result;
+}
+
+// Known values for each categorical field of a normalized analysis
+const ANALYSIS_FIELD_VOCABULARY = {
+    'issue_status.status': ['resolved', 'unresolved'],
+    'human_escalation.is_escalated': ['yes', 'no'],
+    'user_experience.experience_level': [1, 2, 3, 4, 5],
+    'is_chat_completed': ['yes', 'no'],
+    'response_quality.overall_quality_score': ['excellent', 'good', 'fair', 'poor'],
+    'accuracy_level': ['correct', 'partially correct', 'wrong'],
+    'response_quality.is_clear': ['yes', 'no'],
+    'response_quality.is_concise': ['yes', 'no'],
+    'response_quality.is_easy_to_understand': ['yes', 'no'],
+    'response_quality.is_relevant': ['yes', 'no'],
+    'user_sentiment.sentiment': ['positive', 'neutral', 'negative', 'frustrated'],
+    'user_effort.effort_level': [1, 2, 3, 4, 5],
+    'bot_tone.tone': ['professional', 'friendly', 'neutral', 'inappropriate'],
+    'overall_latency_classification': ['good', 'average', 'bad'],
+    'escalation_necessity.was_escalation_necessary': ['yes', 'no']
+};
+
+function getFieldValue(analysis, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), analysis);
+}
+
+// Declared shape of the workflow API's analysis payload. Enum and level fields
+// take their allowed values from ANALYSIS_FIELD_VOCABULARY.
+const ANALYSIS_SCHEMA = {
+    'accuracy_level': { type: 'enum', required: true },
+    'is_chat_completed': { type: 'enum', required: true },
+    'overall_latency_classification': { type: 'enum', required: true },
+    'human_escalation.is_escalated': { type: 'enum', required: true },
+    'issue_status.status': { type: 'enum', required: true },
+    'escalation_necessity.was_escalation_necessary': { type: 'enum', required: true },
+    'bot_tone.tone': { type: 'enum', required: true },
+    'user_sentiment.sentiment': { type: 'enum', required: true },
+    'user_experience.experience_level': { type: 'level', required: true },
+    'user_effort.effort_level': { type: 'level', required: true },
+    'response_quality.is_clear': { type: 'enum', required: true },
+    'response_quality.is_concise': { type: 'enum', required: true },
+    'response_quality.is_easy_to_understand': { type: 'enum', required: true },
+    'response_quality.is_relevant': { type: 'enum', required: true },
+    'response_quality.overall_quality_score': { type: 'enum', required: true },
+    'conversation_quality.quality': { type: 'string', required: false },
+    'conversation_quality.is_anydesk_required': { type: 'boolean', required: false }
+};
+
+// Alternative spellings that map onto a canonical vocabulary value. Case,
+// underscores and hyphens are already ignored before this lookup.
+const ANALYSIS_VALUE_SYNONYMS = {
+    'yes': ['true', 'y'],
+    'no': ['false', 'n'],
+    'partially correct': ['partial', 'partly correct', 'partially accurate'],
+    'correct': ['accurate'],
+    'wrong': ['incorrect', 'inaccurate'],
+    'unresolved': ['not resolved']
+};
+
+const DATA_QUALITY_ISSUE_KINDS = ['missing_field', 'wrong_type', 'unknown_value', 'synonym_mapped', 'coerced_type'];
+
+// Creates missing parent objects, e.g. when a reviewer fills in a field the judge left out
+function setFieldValue(analysis, path, value) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => {
+        if (!obj[key] || typeof obj[key] !== 'object') {
+            obj[key] = {};
+        }
+        return obj[key];
+    }, analysis);
+    parent[keys[keys.length - 1]] = value;
+}
+
+// Values of the wrong type are dropped so downstream code never sees them
+function deleteFieldValue(analysis, path) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => obj[key], analysis);
+    delete parent[keys[keys.length - 1]];
+}
+
+function canonicalizeEnumValue(value) {
+    return value.trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+// Normalizes one field in place and returns the issue found, if any
+function normalizeSchemaField(analysis, field, spec) {
+    const value = getFieldValue(analysis, field);
+    
+    if (value === undefined || value === null || value === '') {
+        return spec.required ? { field, kind: 'missing_field' } : null;
+    }
+    
+    if (spec.type === 'string') {
+        if (typeof value !== 'string') {
+            deleteFieldValue(analysis, field);
+            return { field, kind: 'wrong_type', value, expected: 'string' };
+        }
+        setFieldValue(analysis, field, value.toLowerCase());
+        return null;
+    }
+    
+    if (spec.type === 'boolean') {
+        if (typeof value === 'boolean') {
+            return null;
+        }
+        const canonical = typeof value === 'string' ? canonicalizeEnumValue(value) : null;
+        if (canonical === 'true' || canonical === 'yes') {
+            setFieldValue(analysis, field, true);
+            return { field, kind: 'coerced_type', value, expected: 'boolean' };
+        }
+        if (canonical === 'false' || canonical === 'no') {
+            setFieldValue(analysis, field, false);
+            return { field, kind: 'coerced_type', value, expected: 'boolean' };
+        }
+        deleteFieldValue(analysis, field);
+        return { field, kind: 'wrong_type', value, expected: 'boolean' };
+    }
+    
+    const vocabulary = ANALYSIS_FIELD_VOCABULARY[field];
+    
+    if (spec.type === 'level') {
+        const level = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof level !== 'number' || !Number.isInteger(level)) {
+            deleteFieldValue(analysis, field);
+            return { field, kind: 'wrong_type', value, expected: 'integer' };
+        }
+        setFieldValue(analysis, field, level);
+        if (!vocabulary.includes(level)) {
+            return { field, kind: 'unknown_value', value, expected: vocabulary };
+        }
+        return level !== value ? { field, kind: 'coerced_type', value, expected: 'integer' } : null;
+    }
+    
+    // Enums: booleans are accepted for yes/no fields
+    if (typeof value === 'boolean' && vocabulary.includes('yes')) {
+        setFieldValue(analysis, field, value ? 'yes' : 'no');
+        return { field, kind: 'coerced_type', value, expected: 'string' };
+    }
+    if (typeof value !== 'string') {
+        deleteFieldValue(analysis, field);
+        return { field, kind: 'wrong_type', value, expected: 'string' };
+    }
+    
+    const canonical = canonicalizeEnumValue(value);
+    if (vocabulary.includes(canonical)) {
+        setFieldValue(analysis, field, canonical);
+        return canonical !== value.trim().toLowerCase()
+            ? { field, kind: 'synonym_mapped', value, mappedTo: canonical }
+            : null;
+    }
+    
+    const synonymOf = Object.keys(ANALYSIS_VALUE_SYNONYMS)
+        .find(target => vocabulary.includes(target) && ANALYSIS_VALUE_SYNONYMS[target].includes(canonical));
+    if (synonymOf) {
+        setFieldValue(analysis, field, synonymOf);
+        return { field, kind: 'synonym_mapped', value, mappedTo: synonymOf };
+    }
+    
+    // Kept (lowercased) so it shows up in the distributions, but flagged
+    setFieldValue(analysis, field, value.toLowerCase());
+    return { field, kind: 'unknown_value', value, expected: vocabulary };
+}
+
+// Normalizes a workflow API result against ANALYSIS_SCHEMA and reports every
+// missing field, wrong type, unknown enum value and synonym that was mapped
+function normalizeAnalysisWithReport(result) {
+    if (!result || typeof result !== 'object') {
+        return { analysis: result, issues: [{ field: null, kind: 'wrong_type', value: result, expected: 'object' }] };
+    }
+    
+    const normalized = JSON.parse(JSON.stringify(result));
+    const issues = [];
+    
+    // Parents that exist but aren't objects are reported once, not per child field
+    const invalidParents = new Set();
+    
+    Object.entries(ANALYSIS_SCHEMA).forEach(([field, spec]) => {
+        const parentPath = field.split('.').slice(0, -1).join('.');
+        if (invalidParents.has(parentPath)) {
+            return;
+        }
+        
+        const parent = parentPath ? getFieldValue(normalized, parentPath) : normalized;
+        if (parent === undefined || parent === null) {
+            if (spec.required) {
+                issues.push({ field, kind: 'missing_field' });
+            }
+            return;
+        }
+        if (typeof parent !== 'object' || Array.isArray(parent)) {
+            issues.push({ field: parentPath, kind: 'wrong_type', value: parent, expected: 'object' });
+            deleteFieldValue(normalized, parentPath);
+            invalidParents.add(parentPath);
+            return;
+        }
+        
+        const issue = normalizeSchemaField(normalized, field, spec);
+        if (issue) {
+            issues.push(issue);
+        }
+    });
+    
+    return { analysis: normalized, issues };
+}
+
+// Function to normalize analysis results for case consistency
+function normalizeAnalysisResult(result) {
+    return normalizeAnalysisWithReport(result).analysis;
+}
+
+// Built-in rubric - the original scoring formula. Weights are percentages.
+// `default` is awarded when a field is present but its value isn't in `points`;
+// a missing field always scores 0.
+const DEFAULT_SCORING_RUBRIC = {
+    rubricId: 'default',
+    version: 1,
+    name: 'Default scoring formula',
+    description: 'Built-in formula: primary business metrics 70%, response quality 20%, user satisfaction 10%',
+    components: [
+        { key: 'issueResolution', weight: 25, field: 'issue_status.status', points: { resolved: 100, unresolved: 0 }, default: 0 },
+        { key: 'escalationAvoidance', weight: 20, field: 'human_escalation.is_escalated', points: { no: 100, yes: 0 }, default: 0 },
+        { key: 'userExperience', weight: 15, field: 'user_experience.experience_level', points: { 5: 100, 4: 80, 3: 60, 2: 40, 1: 20 }, default: 0 },
+        { key: 'chatCompletion', weight: 10, field: 'is_chat_completed', points: { yes: 100, no: 0 }, default: 0 },
+        { key: 'responseQuality', weight: 8, field: 'response_quality.overall_quality_score', points: { excellent: 100, good: 75, fair: 50, poor: 25 }, default: 0 },
+        { key: 'accuracy', weight: 7, field: 'accuracy_level', points: { correct: 100, 'partially correct': 50, wrong: 0 }, default: 0 },
+        {
+            key: 'responseComponents',
+            weight: 5,
+            // Averaged over all listed fields
+            fields: ['response_quality.is_clear', 'response_quality.is_concise', 'response_quality.is_easy_to_understand', 'response_quality.is_relevant'],
+            points: { yes: 100, no: 0 },
+            default: 0
+        },
+        { key: 'userSentiment', weight: 5, field: 'user_sentiment.sentiment', points: { positive: 100, neutral: 70, negative: 30, frustrated: 0 }, default: 70 },
+        { key: 'userEffort', weight: 3, field: 'user_effort.effort_level', points: { 1: 100, 2: 80, 3: 60, 4: 40, 5: 20 }, default: 0 },
+        { key: 'botTone', weight: 2, field: 'bot_tone.tone', points: { professional: 100, friendly: 95, neutral: 70, inappropriate: 0 }, default: 70 }
+    ],
+    penalties: {
+        // Escalated to a human although the escalation wasn't necessary
+        unnecessaryEscalation: -10,
+        latency: { good: 0, average: -2, bad: -5 }
+    }
+};
+
+const SCORING_RUBRICS_COLLECTION = 'scoring_rubrics';
+
+// Returns a list of problems with a rubric definition; empty when it is valid
+function validateScoringRubric(rubric) {
+    const errors = [];
+    
+    if (!rubric || typeof rubric !== 'object') {
+        return ['Rubric must be an object'];
+    }
+    if (typeof rubric.rubricId !== 'string' || !/^[a-z0-9_-]+$/i.test(rubric.rubricId)) {
+        errors.push('rubricId must be a non-empty string of letters, digits, "-" or "_"');
+    }
+    if (!Array.isArray(rubric.components) || rubric.components.length === 0) {
+        errors.push('components must be a non-empty array');
+        return errors;
+    }
+    
+    const isValidPoints = value => typeof value === 'number' && value >= 0 && value <= 100;
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const seenKeys = new Set();
+    let totalWeight = 0;
+    
+    rubric.components.forEach((component, i) => {
+        const label = component?.key || `components[${i}]`;
+        
+        if (!component?.key || typeof component.key !== 'string') {
+            errors.push(`components[${i}].key is required`);
+        } else if (seenKeys.has(component.key) || component.key === 'penalties') {
+            errors.push(`Duplicate or reserved component key "${component.key}"`);
+        }
+        seenKeys.add(component?.key);
+        
+        if (typeof component?.weight !== 'number' || component.weight < 0) {
+            errors.push(`${label}: weight must be a non-negative number`);
+        } else {
+            totalWeight += component.weight;
+        }
+        
+        const fields = component?.fields || (component?.field ? [component.field] : []);
+        if (fields.length === 0) {
+            errors.push(`${label}: field or fields is required`);
+        }
+        if (!component?.points || typeof component.points !== 'object') {
+            errors.push(`${label}: points must map each value to 0-100 points`);
+            return;
+        }
+        Object.entries(component.points).forEach(([value, points]) => {
+            if (!isValidPoints(points)) {
+                errors.push(`${label}: points for "${value}" must be between 0 and 100`);
+            }
+        });
+        if (component.default !== undefined && !isValidPoints(component.default)) {
+            errors.push(`${label}: default must be between 0 and 100`);
+        }
+        
+        fields.forEach(field => {
+            const vocabulary = ANALYSIS_FIELD_VOCABULARY[field];
+            if (!vocabulary) {
+                errors.push(`${label}: unknown field "${field}"`);
+                return;
+            }
+            const missing = vocabulary.filter(value => component.points[String(value)] === undefined);
+            if (missing.length > 0) {
+                errors.push(`${label}: no points defined for ${field} value(s) ${missing.map(v => `"${v}"`).join(', ')}`);
+            }
+        });
+    });
+    
+    if (Math.abs(totalWeight - 100) > 0.001) {
+        errors.push(`Component weights must add up to 100 (got ${totalWeight})`);
+    }
+    
+    if (rubric.penalties !== undefined && !isPlainObject(rubric.penalties)) {
+        errors.push('penalties must be an object');
+    }
+    const penalties = isPlainObject(rubric.penalties) ? rubric.penalties : {};
+    if (penalties.unnecessaryEscalation !== undefined &&
+        (typeof penalties.unnecessaryEscalation !== 'number' || penalties.unnecessaryEscalation > 0)) {
+        errors.push('penalties.unnecessaryEscalation must be a number <= 0');
+    }
+    if (penalties.latency !== undefined && !isPlainObject(penalties.latency)) {
+        errors.push('penalties.latency must map each latency classification to a number <= 0');
+    } else if (penalties.latency !== undefined) {
+        const latencyVocabulary = ANALYSIS_FIELD_VOCABULARY.overall_latency_classification;
+        latencyVocabulary.forEach(value => {
+            const penalty = penalties.latency[value];
+            if (typeof penalty !== 'number' || penalty > 0) {
+                errors.push(`penalties.latency.${value} must be a number <= 0`);
+            }
+        });
+    }
+    
+    return errors;
+}
+
+// Loads a rubric by id (latest version unless one is given). The built-in
+// 'default' rubric is always available.
+async function getScoringRubric(rubricId = 'default', version = null) {
+    if (rubricId === DEFAULT_SCORING_RUBRIC.rubricId) {
+        return !version || Number(version) === DEFAULT_SCORING_RUBRIC.version ? DEFAULT_SCORING_RUBRIC : null;
+    }
+    
+    const db = await getDatabase();
+    const query = version ? { rubricId, version: Number(version) } : { rubricId, deleted: { $ne: true } };
+    
+    return db.collection(SCORING_RUBRICS_COLLECTION).findOne(query, {
+        sort: { version: -1 },
+        projection: { _id: 0 }
+    });
+}
+
+// Points (0-100) a rubric component awards for a present field value
+function getComponentPoints(component, value) {
+    const points = component.points[String(value).toLowerCase()];
+    return points !== undefined ? points : (component.default || 0);
+}
+
+// Scores a normalized analysis against a rubric (the built-in formula by default)
+function calculateSessionScore(analysis, rubric = DEFAULT_SCORING_RUBRIC) {
+    if (!analysis) {
+        console.log('⚠️ No analysis data provided for scoring');
+        return 0;
+    }
+    
+    let totalScore = 0;
+    const scoreBreakdown = {};
+    
+    console.log(`📊 Calculating score with rubric ${rubric.rubricId} v${rubric.version}...`);
+    
+    rubric.components.forEach(component => {
+        let componentScore = 0;
+        
+        if (component.fields) {
+            // Averaged over all fields; a missing field counts as 0
+            const parent = component.fields[0].split('.').slice(0, -1).join('.');
+            if (!parent || getFieldValue(analysis, parent)) {
+                let componentPoints = 0;
+                component.fields.forEach(field => {
+                    const value = getFieldValue(analysis, field);
+                    if (value) {
+                        const points = getComponentPoints(component, value);
+                        componentPoints += points;
+                        console.log(`- ${field}: ${value} → ${points} points`);
+                    }
+                });
+                componentScore = componentPoints / component.fields.length;
+            }
+        } else {
+            const value = getFieldValue(analysis, component.field);
+            if (value) {
+                componentScore = getComponentPoints(component, value);
+                console.log(`- ${component.key}: ${value} → ${componentScore} points`);
+            }
+        }
+        
+        scoreBreakdown[component.key] = componentScore * component.weight / 100;
+        totalScore += scoreBreakdown[component.key];
+    });
+    
+    // Bonus/Penalty Factors
+    let penalties = 0;
+    const rubricPenalties = rubric.penalties || {};
+    
+    // Escalation Necessity Penalty
+    if (rubricPenalties.unnecessaryEscalation &&
+        analysis.escalation_necessity?.was_escalation_necessary === 'no' && 
+        analysis.human_escalation?.is_escalated === 'yes') {
+        penalties += rubricPenalties.unnecessaryEscalation;
+        console.log(`- Escalation Necessity Penalty: ${rubricPenalties.unnecessaryEscalation} points`);
+    }
+    
+    // Performance Penalty
+    if (rubricPenalties.latency && analysis.overall_latency_classification) {
+        const latency = analysis.overall_latency_classification.toLowerCase();
+        const latencyPenalty = rubricPenalties.latency[latency] || 0;
+        penalties += latencyPenalty;
+        console.log(`- Latency Penalty: ${latency} → ${latencyPenalty} points`);
+    }
+    
+    totalScore += penalties;
+    scoreBreakdown.penalties = penalties;
+    
+    console.log(`📊 Final Score Breakdown:`, scoreBreakdown);
+    console.log(`📊 Total Score: ${totalScore.toFixed(2)}`);
+    
+    return {
+        totalScore: Math.max(0, Math.round(totalScore * 100) / 100), // Ensure non-negative, round to 2 decimals
+        breakdown: scoreBreakdown,
+        rubric: {
+            rubricId: rubric.rubricId,
+            version: rubric.version
+        }
+    };
+}
+
+// Walks through calculateSessionScore for one analysis: for every component the raw
+// value(s), the points awarded and the weight, and for every penalty whether it applied
+function explainScoreComponents(analysis, rubric = DEFAULT_SCORING_RUBRIC) {
+    const round = value => Math.round(value * 100) / 100;
+    const describeValue = value => (!value ? 'missing' : typeof value === 'string' ? `"${value}"` : String(value));
+    let totalScore = 0;
+    
+    const components = rubric.components.map(component => {
+        const fields = component.fields || [component.field];
+        // A multi-field component scores 0 when the object holding its fields is missing
+        const parent = component.fields ? component.fields[0].split('.').slice(0, -1).join('.') : '';
+        const parentMissing = !!parent && !getFieldValue(analysis, parent);
+        
+        const values = fields.map(field => {
+            const value = parentMissing ? undefined : getFieldValue(analysis, field);
+            const known = !!value && component.points[String(value).toLowerCase()] !== undefined;
+            return { field, value: value ?? null, points: value ? getComponentPoints(component, value) : 0, known };
+        });
+        const points = values.reduce((sum, entry) => sum + entry.points, 0) / values.length;
+        const contribution = points * component.weight / 100;
+        totalScore += contribution;
+        
+        const valueText = values.map(entry => {
+            const note = entry.value && !entry.known ? ' (not in the rubric, default points)' : '';
+            return `${entry.field} ${describeValue(entry.value)} → ${entry.points}${note}`;
+        });
+        const pointsText = values.length > 1 ? `average of ${valueText.join(', ')} = ${round(points)}` : valueText[0];
+        
+        return {
+            key: component.key,
+            values: values.map(({ field, value, points: fieldPoints, known }) => ({ field, value, points: fieldPoints, inRubric: known })),
+            points: round(points),
+            weight: component.weight,
+            contribution: round(contribution),
+            explanation: `${pointsText} points × ${component.weight}% weight = ${round(contribution)}`
+        };
+    });
+    
+    const penalties = [];
+    const rubricPenalties = rubric.penalties || {};
+    
+    if (rubricPenalties.unnecessaryEscalation) {
+        const escalated = analysis.human_escalation?.is_escalated ?? null;
+        const necessary = analysis.escalation_necessity?.was_escalation_necessary ?? null;
+        const applied = necessary === 'no' && escalated === 'yes';
+        penalties.push({
+            key: 'unnecessaryEscalation',
+            values: { 'human_escalation.is_escalated': escalated, 'escalation_necessity.was_escalation_necessary': necessary },
+            points: applied ? rubricPenalties.unnecessaryEscalation : 0,
+            applied,
+            explanation: applied
+                ? `Escalated although escalation wasn't necessary → ${rubricPenalties.unnecessaryEscalation}`
+                : `is_escalated ${describeValue(escalated)}, was_escalation_necessary ${describeValue(necessary)} → no penalty`
+        });
+    }
+    
+    if (rubricPenalties.latency) {
+        const latency = analysis.overall_latency_classification ? analysis.overall_latency_classification.toLowerCase() : null;
+        const points = latency ? (rubricPenalties.latency[latency] || 0) : 0;
+        penalties.push({
+            key: 'latency',
+            values: { overall_latency_classification: latency },
+            points,
+            applied: points !== 0,
+            explanation: `overall_latency_classification ${describeValue(latency)} → ${points === 0 ? 'no penalty' : points}`
+        });
+    }
+    
+    const penaltyTotal = penalties.reduce((sum, penalty) => sum + penalty.points, 0);
+    
+    return {
+        rubric: { rubricId: rubric.rubricId, version: rubric.version },
+        components,
+        penalties,
+        totalScore: Math.max(0, round(totalScore + penaltyTotal))
+    };
+}
+
+// Averages in aggregateStats taken from each result's transcriptMetrics, over the sessions that have them
+const TRANSCRIPT_STAT_FIELDS = {
+    average_turn_count: 'turns.total',
+    average_first_response_ms: 'firstResponseMs',
+    average_conversation_duration_ms: 'durationMs',
+    average_bot_latency_p50_ms: 'botLatencyMs.p50',
+    average_bot_latency_p90_ms: 'botLatencyMs.p90',
+    average_bot_latency_p95_ms: 'botLatencyMs.p95',
+    average_user_message_chars: 'messageLength.user.meanChars',
+    average_bot_message_chars: 'messageLength.bot.meanChars'
+};
+
+// Function to calculate aggregate statistics - UPDATED with additional distributions
+// Built incrementally so large exports can stream results through it without
+// holding them all in memory; calculateAggregateStats wraps it for arrays.
+function createAggregateStatsAccumulator() {
+    let totalSessions = 0;
+    const stats = {
+        chat_completion: { "yes": 0, "no": 0 },
+        user_sentiment: {},
+        bot_tone: {},
+        anydesk_required: { "true": 0, "false": 0 },
+        user_experience_levels: [],
+        user_effort_levels: [],
+        accuracy_levels: {},
+        issue_resolution: { "resolved": 0, "unresolved": 0 },
+        human_escalation: { "yes": 0, "no": 0 },
+        overall_response_quality: {},
+        escalation_necessity: {},
+        performance_classification: {},
+        response_components: {
+            is_clear: { "yes": 0, "no": 0 },
+            is_concise: { "yes": 0, "no": 0 },
+            is_easy_to_understand: { "yes": 0, "no": 0 },
+            is_relevant: { "yes": 0, "no": 0 }
+        },
+        transcript_values: Object.fromEntries(Object.keys(TRANSCRIPT_STAT_FIELDS).map(stat => [stat, []])),
+        measured_escalation: { "yes": 0, "no": 0 },
+        measured_latency: {},
+        latency_check: { "agrees": 0, "disagrees": 0 }
+    };
+    
+    return {
+        add(result) {
+            totalSessions++;
+            const analysis = result.analysis;
+            
+            // Chat completion
+            if (analysis.is_chat_completed) {
+                const completion = analysis.is_chat_completed.toLowerCase();
+                stats.chat_completion[completion] = (stats.chat_completion[completion] || 0) + 1;
+            }
+            
+            // User sentiment
+            if (analysis.user_sentiment?.sentiment) {
+                const sentiment = analysis.user_sentiment.sentiment.toLowerCase();
+                stats.user_sentiment[sentiment] = (stats.user_sentiment[sentiment] || 0) + 1;
+            }
+            
+            // Bot tone
+            if (analysis.bot_tone?.tone) {
+                const tone = analysis.bot_tone.tone.toLowerCase();
+                stats.bot_tone[tone] = (stats.bot_tone[tone] || 0) + 1;
+            }
+            
+            // AnyDesk required
+            if (analysis.conversation_quality?.is_anydesk_required !== undefined) {
+                const anydesk = analysis.conversation_quality.is_anydesk_required.toString();
+                stats.anydesk_required[anydesk] = (stats.anydesk_required[anydesk] || 0) + 1;
+            }
+            
+            // User experience level
+            if (analysis.user_experience?.experience_level) {
+                stats.user_experience_levels.push(analysis.user_experience.experience_level);
+            }
+            
+            // User effort level
+            if (analysis.user_effort?.effort_level) {
+                stats.user_effort_levels.push(analysis.user_effort.effort_level);
+            }
+            
+            // Accuracy levels
+            if (analysis.accuracy_level) {
+                const accuracy = analysis.accuracy_level.toLowerCase();
+                stats.accuracy_levels[accuracy] = (stats.accuracy_levels[accuracy] || 0) + 1;
+            }
+            
+            // Issue resolution
+            if (analysis.issue_status?.status) {
+                const status = analysis.issue_status.status.toLowerCase();
+                stats.issue_resolution[status] = (stats.issue_resolution[status] || 0) + 1;
+            }
+            
+            // Human escalation
+            if (analysis.human_escalation?.is_escalated) {
+                const escalated = analysis.human_escalation.is_escalated.toLowerCase();
+                stats.human_escalation[escalated] = (stats.human_escalation[escalated] || 0) + 1;
+            }
+            
+            // NEW: Overall response quality distribution
+            if (analysis.response_quality?.overall_quality_score) {
+                const quality = analysis.response_quality.overall_quality_score.toLowerCase();
+                stats.overall_response_quality[quality] = (stats.overall_response_quality[quality] || 0) + 1;
+            }
+            
+            // NEW: Escalation necessity distribution
+            if (analysis.escalation_necessity?.was_escalation_necessary) {
+                const necessity = analysis.escalation_necessity.was_escalation_necessary.toLowerCase();
+                stats.escalation_necessity[necessity] = (stats.escalation_necessity[necessity] || 0) + 1;
+            }
+            
+            // NEW: Performance distribution (latency classification)
+            if (analysis.overall_latency_classification) {
+                const performance = analysis.overall_latency_classification.toLowerCase();
+                stats.performance_classification[performance] = (stats.performance_classification[performance] || 0) + 1;
+            }
+            
+            // NEW: Response components distribution
+            if (analysis.response_quality) {
+                const components = ['is_clear', 'is_concise', 'is_easy_to_understand', 'is_relevant'];
+                components.forEach(component => {
+                    if (analysis.response_quality[component]) {
+                        const value = analysis.response_quality[component].toLowerCase();
+                        stats.response_components[component][value] = (stats.response_components[component][value] || 0) + 1;
+                    }
+                });
+            }
+            
+            // Transcript metrics - measured from the session, not judged
+            const metrics = result.transcriptMetrics;
+            if (metrics) {
+                Object.entries(TRANSCRIPT_STAT_FIELDS).forEach(([stat, path]) => {
+                    const value = getFieldValue(metrics, path);
+                    if (typeof value === 'number') {
+                        stats.transcript_values[stat].push(value);
+                    }
+                });
+                stats.measured_escalation[metrics.escalation.escalated ? 'yes' : 'no']++;
+                if (metrics.measuredLatencyClass) {
+                    stats.measured_latency[metrics.measuredLatencyClass] = (stats.measured_latency[metrics.measuredLatencyClass] || 0) + 1;
+                }
+            }
+            if (result.latencyCheck) {
+                stats.latency_check[result.latencyCheck.agrees ? 'agrees' : 'disagrees']++;
+            }
+        },
+        
+        finish() {
+            if (totalSessions === 0) {
+                return {
+                    average_chat_completion_rate: { "yes": 0, "no": 0 },
+                    average_user_sentiment_distribution: {},
+                    average_bot_tone_distribution: {},
+                    average_anydesk_required: { "true": 0, "false": 0 },
+                    average_user_experience_level: 0,
+                    average_user_effort_level: 0,
+                    average_response_accuracy: {},
+                    average_issue_resolution_rate: { "resolved": 0, "unresolved": 0 },
+                    average_human_escalation_rate: { "yes": 0, "no": 0 },
+                    overall_response_quality_distribution: {},
+                    escalation_necessity_distribution: {},
+                    response_quality_distribution: {},
+                    performance_distribution: {},
+                    response_components_distribution: {},
+                    ...Object.fromEntries(Object.keys(TRANSCRIPT_STAT_FIELDS).map(stat => [stat, 0])),
+                    measured_escalation_rate: { "yes": 0, "no": 0 },
+                    measured_latency_distribution: {},
+                    latency_classification_check: { "agrees": 0, "disagrees": 0 }
+                };
+            }
+            
+            // Convert counts to percentages and calculate averages
+            const convertToPercentages = (obj) => {
+                const result = {};
+                Object.keys(obj).forEach(key => {
+                    result[key] = Math.round((obj[key] / totalSessions) * 100);
+                });
+                return result;
+            };
+            
+            // Convert response components to percentages
+            const convertResponseComponentsToPercentages = (componentsObj) => {
+                const result = {};
+                Object.keys(componentsObj).forEach(component => {
+                    result[component] = convertToPercentages(componentsObj[component]);
+                });
+                return result;
+            };
+            
+            return {
+                average_chat_completion_rate: convertToPercentages(stats.chat_completion),
+                average_user_sentiment_distribution: convertToPercentages(stats.user_sentiment),
+                average_bot_tone_distribution: convertToPercentages(stats.bot_tone),
+                average_anydesk_required: convertToPercentages(stats.anydesk_required),
+                average_user_experience_level: stats.user_experience_levels.length > 0 
+                    ? Math.round((stats.user_experience_levels.reduce((a, b) => a + b, 0) / stats.user_experience_levels.length) * 100) / 100 
+                    : 0,
+                average_user_effort_level: stats.user_effort_levels.length > 0 
+                    ? Math.round((stats.user_effort_levels.reduce((a, b) => a + b, 0) / stats.user_effort_levels.length) * 100) / 100 
+                    : 0,
+                average_response_accuracy: convertToPercentages(stats.accuracy_levels),
+                average_issue_resolution_rate: convertToPercentages(stats.issue_resolution),
+                average_human_escalation_rate: convertToPercentages(stats.human_escalation),
+                overall_response_quality_distribution: convertToPercentages(stats.overall_response_quality),
+                escalation_necessity_distribution: convertToPercentages(stats.escalation_necessity),
+                performance_distribution: convertToPercentages(stats.performance_classification),
+                response_components_distribution: convertResponseComponentsToPercentages(stats.response_components),
+                ...Object.fromEntries(Object.entries(stats.transcript_values).map(([stat, values]) => [
+                    stat,
+                    values.length > 0 ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100 : 0
+                ])),
+                measured_escalation_rate: convertToPercentages(stats.measured_escalation),
+                measured_latency_distribution: convertToPercentages(stats.measured_latency),
+                // The judge's latency class against the measured one, where both are known
+                latency_classification_check: convertToPercentages(stats.latency_check)
+            };
+        }
+    };
+}
+
+function calculateAggregateStats(analysisResults) {
+    const accumulator = createAggregateStatsAccumulator();
+    (analysisResults || []).forEach(result => accumulator.add(result));
+    return accumulator.finish();
+}
+
+// Stored per-session analyses - lets a run reuse work from earlier runs
+const SESSION_ANALYSES_COLLECTION = 'session_analyses';
+
+// Fingerprint of the session document, used to tell whether it changed since it was analyzed
+function getSessionHash(session) {
+    return crypto.createHash('sha256').update(JSON.stringify(session)).digest('hex');
+}
+
+// Accepts an ISO date or a relative age such as '12h' or '7d'
+function parseReanalyzeOlderThan(value) {
+    const relative = /^(\d+)\s*([mhd])$/i.exec(String(value).trim());
+    if (relative) {
+        const unitMs = { m: 60000, h: 3600000, d: 86400000 }[relative[2].toLowerCase()];
+        return new Date(Date.now() - parseInt(relative[1], 10) * unitMs);
+    }
+    
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error('reanalyzeOlderThan must be an ISO date or an age like "12h" or "7d"');
+    }
+    return date;
+}
+
+// Experiment arms store their analyses too, tagged with the experiment id. They are candidates
+// being evaluated, so they never count as a session's current analysis unless asked for.
+function excludeExperimentAnalyses(query, includeExperiments = false) {
+    return includeExperiments ? query : { ...query, experimentId: null };
+}
+
+function shouldIncludeExperiments(value) {
+    return value === true || value === 'true';
+}
+
+// Returns the latest stored analysis that can stand in for a fresh one, or null.
+// Only experiment jobs may reuse another experiment's analyses.
+async function findReusableAnalysis(sessionId, sessionHash, options, { includeExperiments = false } = {}) {
+    if (options.force) {
+        return null;
+    }
+    
+    const db = await getDatabase();
+    const { evaluator, workflowId, workflowVersion } = getEvaluatorInfo(options);
+    
+    const stored = await db.collection(SESSION_ANALYSES_COLLECTION).findOne(
+        // Analyses stored before evaluators existed all came from the workflow API
+        excludeExperimentAnalyses({ sessionId, evaluator: evaluator === 'workflow' ? { $in: ['workflow', null] } : evaluator, workflowId, workflowVersion }, includeExperiments),
+        { sort: { analyzedAt: -1 } }
+    );
+    
+    if (!stored || stored.sessionHash !== sessionHash) {
+        return null;
+    }
+    if (options.reanalyzeOlderThan && stored.analyzedAt < new Date(options.reanalyzeOlderThan)) {
+        return null;
+    }
+    
+    return stored;
+}
+
+async function saveSessionAnalysis({ sessionId, sessionHash, sessionDate, sessionAttributes, evaluatorInfo, analysis, score, dataQualityIssues, transcriptMetrics, latencyCheck, jobId, experimentId }) {
+    const db = await getDatabase();
+    
+    await db.collection(SESSION_ANALYSES_COLLECTION).insertOne({
+        sessionId,
+        sessionHash,
+        sessionDate,
+        sessionAttributes,
+        ...evaluatorInfo,
+        analysis,
+        score,
+        dataQualityIssues,
+        transcriptMetrics,
+        latencyCheck,
+        jobId: jobId || null,
+        experimentId: experimentId || null,
+        analyzedAt: new Date()
+    });
+}
+
+// Creates each index on its own, so one that can't be built doesn't hold back the others.
+// Resolves to the collections left without one of their indexes - empty once all exist.
+async function ensureIndexes() {
+    const indexes = [
+        [SESSION_ANALYSES_COLLECTION, { sessionId: 1, workflowId: 1, workflowVersion: 1, analyzedAt: -1 }],
+        [SESSION_ANALYSES_COLLECTION, { sessionId: 1, analyzedAt: -1 }],
+        [SESSION_ANALYSES_COLLECTION, { sessionDate: 1, analyzedAt: -1 }],
+        [ANALYSIS_JOB_RESULTS_COLLECTION, { jobId: 1, index: 1 }],
+        [ANALYSIS_JOBS_COLLECTION, { jobId: 1 }, { unique: true }],
+        [SCORING_RUBRICS_COLLECTION, { rubricId: 1, version: -1 }, { unique: true }],
+        [ALERT_RULES_COLLECTION, { ruleId: 1 }, { unique: true }],
+        // Only events holding their dedup key count - see fireAlert
+        [ALERT_EVENTS_COLLECTION, { ruleId: 1, dedupKey: 1 }, { unique: true, partialFilterExpression: { dedupClaimed: true } }],
+        [ALERT_EVENTS_COLLECTION, { firedAt: -1 }],
+        [SCHEDULES_COLLECTION, { scheduleId: 1 }, { unique: true }],
+        [SCHEDULES_COLLECTION, { enabled: 1, nextRunAt: 1 }],
+        [SCHEDULE_RUNS_COLLECTION, { scheduleId: 1, scheduledFor: 1 }, { unique: true }],
+        [SESSION_REVIEWS_COLLECTION, { sessionId: 1 }, { unique: true }],
+        [GOLD_LABELS_COLLECTION, { datasetId: 1, sessionId: 1 }, { unique: true }],
+        [EXPERIMENTS_COLLECTION, { experimentId: 1 }, { unique: true }],
+        [API_KEY_USAGE_COLLECTION, { principalId: 1, date: 1 }, { unique: true }]
+    ];
+    
+    let db;
+    try {
+        db = await getDatabase();
+    } catch (error) {
+        console.error('❌ Failed to create MongoDB indexes:', error.message);
+        return [...new Set(indexes.map(([collection]) => collection))];
+    }
+    
+    const failedCollections = new Set();
+    for (const [collection, keys, options = {}] of indexes) {
+        try {
+            await db.collection(collection).createIndex(keys, options);
+        } catch (error) {
+            console.error(`❌ Failed to create index ${JSON.stringify(keys)} on ${collection}:`, error.message);
+            failedCollections.add(collection);
+        }
+    }
+    return [...failedCollections];
+}
+
+// Run configuration defaults - can be overridden per request
+const DEFAULT_RUN_OPTIONS = {
+    concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2,
+    requestsPerMinute: parseInt(process.env.ANALYSIS_REQUESTS_PER_MINUTE, 10) || 60,
+    maxRetries: process.env.ANALYSIS_MAX_RETRIES !== undefined ? parseInt(process.env.ANALYSIS_MAX_RETRIES, 10) : 3,
+    retryBaseDelayMs: parseInt(process.env.ANALYSIS_RETRY_BASE_DELAY_MS, 10) || 2000,
+    maxFailures: process.env.ANALYSIS_MAX_FAILURES ? parseInt(process.env.ANALYSIS_MAX_FAILURES, 10) : null,
+    maxFailureRate: process.env.ANALYSIS_MAX_FAILURE_RATE ? parseFloat(process.env.ANALYSIS_MAX_FAILURE_RATE) : 0.5
+};
+
+// The failure rate is only checked once this many sessions have been handled
+const FAILURE_RATE_MIN_SAMPLE = 10;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Validates the run options from a request body and fills in the defaults.
+// Throws with a message suitable for a 400 response.
+function resolveRunOptions(body = {}) {
+    const options = { ...DEFAULT_RUN_OPTIONS };
+    
+    const integerOptions = {
+        concurrency: { min: 1, max: 20 },
+        requestsPerMinute: { min: 1, max: 6000 },
+        maxRetries: { min: 0, max: 10 },
+        retryBaseDelayMs: { min: 0, max: MAX_RETRY_DELAY_MS },
+        maxFailures: { min: 0, max: Number.MAX_SAFE_INTEGER }
+    };
+    
+    Object.entries(integerOptions).forEach(([name, { min, max }]) => {
+        if (body[name] === undefined || body[name] === null) {
+            return;
+        }
+        const value = Number(body[name]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`${name} must be an integer between ${min} and ${max}`);
+        }
+        options[name] = value;
+    });
+    
+    if (body.maxFailureRate !== undefined && body.maxFailureRate !== null) {
+        const value = Number(body.maxFailureRate);
+        if (Number.isNaN(value) || value <= 0 || value > 1) {
+            throw new Error('maxFailureRate must be a number greater than 0 and at most 1');
+        }
+        options.maxFailureRate = value;
+    }
+    
+    if (body.rubricId !== undefined && typeof body.rubricId !== 'string') {
+        throw new Error('rubricId must be a string');
+    }
+    if (body.rubricVersion !== undefined && body.rubricVersion !== null &&
+        (!Number.isInteger(Number(body.rubricVersion)) || Number(body.rubricVersion) < 1)) {
+        throw new Error('rubricVersion must be a positive integer');
+    }
+    options.rubricId = body.rubricId || DEFAULT_SCORING_RUBRIC.rubricId;
+    options.rubricVersion = body.rubricVersion ? Number(body.rubricVersion) : null;
+    
+    options.groupBy = resolveGroupBy(body.groupBy);
+    Object.assign(options, resolveEvaluatorOptions(body));
+    
+    options.force = body.force === true || body.force === 'true';
+    options.reanalyzeOlderThan = body.reanalyzeOlderThan ? parseReanalyzeOlderThan(body.reanalyzeOlderThan) : null;
+    
+    return options;
+}
+
+// Spaces calls evenly so no more than `requestsPerMinute` start in any minute
+function createRateLimiter(requestsPerMinute) {
+    const interval = 60000 / requestsPerMinute;
+    let nextSlot = 0;
+    
+    return async function acquire(signal) {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + interval;
+        if (slot > now) {
+            await sleep(slot - now, signal);
+        }
+    };
+}
+
+// Runs `worker` over `items` with at most `concurrency` calls in flight.
+// Workers stop picking up new items once `shouldStop` returns true.
+async function runWithConcurrency(items, concurrency, worker, shouldStop = () => false) {
+    let nextIndex = 0;
+    
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length && !shouldStop()) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    });
+    
+    await Promise.all(runners);
+}
+
+// Resolves after `ms`, or straight away once `signal` is aborted
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            return resolve();
+        }
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done);
+    });
+}
+
+function parseRetryAfter(headerValue) {
+    if (!headerValue) {
+        return null;
+    }
+    const seconds = Number(headerValue);
+    if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Maps an analyzeSession error onto an error class and whether it is worth retrying
+function classifyAnalysisError(error) {
+    if (axios.isCancel(error)) {
+        return { errorClass: 'cancelled', retryable: false };
+    }
+    
+    const status = error.response?.status;
+    
+    if (status === 429) {
+        return {
+            errorClass: 'rate_limited',
+            retryable: true,
+            statusCode: status,
+            retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after'])
+        };
+    }
+    if (status >= 500) {
+        return { errorClass: 'server_error', retryable: true, statusCode: status };
+    }
+    if (status >= 400) {
+        return { errorClass: 'client_error', retryable: false, statusCode: status };
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return { errorClass: 'timeout', retryable: true };
+    }
+    if (['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'].includes(error.code)) {
+        return { errorClass: 'network_error', retryable: true };
+    }
+    return { errorClass: 'unknown_error', retryable: false };
+}
+
+// Calls analyzeSession, retrying retryable failures with exponential backoff.
+// The error thrown after the last attempt carries `attempts` and `errorClass`.
+async function analyzeSessionWithRetry(session, { evaluator, evaluatorConfig, maxRetries, retryBaseDelayMs, acquireSlot, onRetry, signal }) {
+    const sessionId = getSessionId(session);
+    
+    for (let attempt = 1; ; attempt++) {
+        // Local evaluators and mocked analyses don't hit a remote API
+        if (!EVALUATORS[evaluator]?.local && getEvaluatorMode() !== 'mock') {
+            await acquireSlot(signal);
+        }
+        
+        try {
+            const result = await analyzeSession(session, { evaluator, evaluatorConfig, signal });
+            return { result, attempts: attempt };
+        } catch (error) {
+            const classification = error.errorClass
+                ? { errorClass: error.errorClass, retryable: false }
+                : classifyAnalysisError(error);
+            
+            if (!classification.retryable || attempt > maxRetries) {
+                error.attempts = attempt;
+                error.errorClass = classification.errorClass;
+                error.statusCode = classification.statusCode;
+                throw error;
+            }
+            
+            const backoff = retryBaseDelayMs * Math.pow(2, attempt - 1);
+            const jitter = Math.random() * retryBaseDelayMs;
+            const delay = Math.min(classification.retryAfterMs ?? backoff + jitter, MAX_RETRY_DELAY_MS);
+            
+            console.log(`🔁 Retrying session ${sessionId} in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries + 1}, ${classification.errorClass})`);
+            if (onRetry) {
+                onRetry({ attempt: attempt + 1, delayMs: Math.round(delay), errorClass: classification.errorClass, error: error.message });
+            }
+            await sleep(delay, signal);
+        }
+    }
+}
+
+function isFailureBudgetExceeded(options, failedCount, handledCount) {
+    if (options.maxFailures !== null && failedCount > options.maxFailures) {
+        return true;
+    }
+    return handledCount >= FAILURE_RATE_MIN_SAMPLE && failedCount / handledCount > options.maxFailureRate;
+}
+
+// Average totalScore across results, rounded to 2 decimals
+function calculateOverallScore(analysisResults) {
+    if (!analysisResults || analysisResults.length === 0) {
+        return 0;
+    }
+    const totalScore = analysisResults.reduce((sum, result) => sum + result.score.totalScore, 0);
+    return Math.round((totalScore / analysisResults.length) * 100) / 100;
+}
+
+// Average of each score breakdown component across results
+function calculateAverageBreakdown(analysisResults) {
+    const totals = {};
+    
+    (analysisResults || []).forEach(result => {
+        Object.entries(result.score?.breakdown || {}).forEach(([component, value]) => {
+            totals[component] = (totals[component] || 0) + value;
+        });
+    });
+    
+    const averages = {};
+    Object.keys(totals).forEach(component => {
+        averages[component] = Math.round((totals[component] / analysisResults.length) * 100) / 100;
+    });
+    return averages;
+}
+
+// Counts the data-quality issues found while normalizing each session's analysis
+function calculateDataQualityReport(analysisResults) {
+    const issueCounts = {};
+    DATA_QUALITY_ISSUE_KINDS.forEach(kind => {
+        issueCounts[kind] = 0;
+    });
+    const byField = {};
+    let sessionsWithIssues = 0;
+    
+    (analysisResults || []).forEach(result => {
+        const issues = result.dataQualityIssues || [];
+        if (issues.length > 0) {
+            sessionsWithIssues++;
+        }
+        
+        issues.forEach(issue => {
+            issueCounts[issue.kind] = (issueCounts[issue.kind] || 0) + 1;
+            
+            const fieldReport = byField[issue.field] || (byField[issue.field] = {});
+            fieldReport[issue.kind] = (fieldReport[issue.kind] || 0) + 1;
+            
+            if (issue.kind === 'unknown_value') {
+                fieldReport.unknownValues = fieldReport.unknownValues || {};
+                const value = String(issue.value);
+                fieldReport.unknownValues[value] = (fieldReport.unknownValues[value] || 0) + 1;
+            }
+        });
+    });
+    
+    return {
+        sessionsChecked: (analysisResults || []).length,
+        sessionsWithIssues,
+        issueCounts,
+        byField
+    };
+}
+
+// Segmented stats - one aggregate block per value of a session attribute
+const DAY_OF_WEEK_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Segments smaller than this are flagged so readers don't over-read them
+const SMALL_SEGMENT_SIZE = 10;
+const UNKNOWN_SEGMENT = 'unknown';
+
+const SEGMENT_DIMENSIONS = {
+    clientId: result => result.sessionAttributes?.clientId,
+    botId: result => result.sessionAttributes?.botId,
+    channel: result => result.sessionAttributes?.channel,
+    language: result => result.sessionAttributes?.language,
+    // A session with several tags counts towards each of them
+    tag: result => result.sessionAttributes?.tags,
+    escalationReason: result => {
+        const escalation = result.analysis?.human_escalation;
+        if (!escalation) {
+            return undefined;
+        }
+        return escalation.is_escalated === 'yes' ? (escalation.reason || 'unspecified') : 'not escalated';
+    },
+    dayOfWeek: result => {
+        const date = result.sessionAttributes?.sessionDate;
+        return date ? DAY_OF_WEEK_NAMES[new Date(date).getUTCDay()] : undefined;
+    }
+};
+
+// Accepts known dimensions or any analysis schema field, comma-separated or as an array
+function resolveGroupBy(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const dimensions = (Array.isArray(value) ? value : String(value).split(','))
+        .map(dimension => String(dimension).trim())
+        .filter(Boolean);
+    
+    dimensions.forEach(dimension => {
+        if (!SEGMENT_DIMENSIONS[dimension] && !ANALYSIS_SCHEMA[dimension]) {
+            throw new Error(`Unknown groupBy "${dimension}" - use one of ${Object.keys(SEGMENT_DIMENSIONS).join(', ')} or an analysis field`);
+        }
+    });
+    return [...new Set(dimensions)];
+}
+
+function getSegmentValues(result, dimension) {
+    const value = SEGMENT_DIMENSIONS[dimension]
+        ? SEGMENT_DIMENSIONS[dimension](result)
+        : getFieldValue(result.analysis || {}, dimension);
+    const values = (Array.isArray(value) ? value : [value])
+        .filter(item => item !== undefined && item !== null && item !== '')
+        .map(String);
+    return values.length > 0 ? values : [UNKNOWN_SEGMENT];
+}
+
+// { [dimension]: [{ value, sessionCount, share, smallSample, overallScore, aggregateStats }] }, largest segment first
+function calculateSegmentedStats(analysisResults, groupBy) {
+    const results = analysisResults || [];
+    const segmentedStats = {};
+    
+    groupBy.forEach(dimension => {
+        const segments = new Map();
+        
+        results.forEach(result => {
+            getSegmentValues(result, dimension).forEach(value => {
+                if (!segments.has(value)) {
+                    segments.set(value, { accumulator: createAggregateStatsAccumulator(), sessionCount: 0, totalScore: 0 });
+                }
+                const segment = segments.get(value);
+                segment.accumulator.add(result);
+                segment.sessionCount++;
+                segment.totalScore += result.score?.totalScore || 0;
+            });
+        });
+        
+        segmentedStats[dimension] = [...segments.entries()]
+            .map(([value, segment]) => ({
+                value,
+                sessionCount: segment.sessionCount,
+                share: results.length > 0 ? Math.round((segment.sessionCount / results.length) * 100) : 0,
+                smallSample: segment.sessionCount < SMALL_SEGMENT_SIZE,
+                overallScore: Math.round((segment.totalScore / segment.sessionCount) * 100) / 100,
+                aggregateStats: segment.accumulator.finish()
+            }))
+            .sort((a, b) => b.sessionCount - a.sessionCount);
+    });
+    
+    return segmentedStats;
+}
+
+// Analysis jobs - state lives in MongoDB so a run survives a server restart
+const ANALYSIS_JOBS_COLLECTION = 'analysis_jobs';
+const ANALYSIS_JOB_RESULTS_COLLECTION = 'analysis_job_results';
+
+// Jobs currently being processed by this server instance, with their stop controls
+const activeJobs = new Map();
+const JOB_CONTROL_POLL_MS = 2000;
+const FINISHED_JOB_STATUSES = ['completed', 'aborted', 'failed', 'cancelled'];
+
+// Asks a running job to stop ('cancel' or 'pause') and aborts its in-flight requests
+function requestJobStop(control, action) {
+    if (control.stopRequested) {
+        return;
+    }
+    control.stopRequested = action;
+    control.abortController.abort();
+    console.log(`🛑 Stop requested (${action}) for job ${control.jobId}`);
+}
+
+// Live job events for the SSE stream. Each job keeps a bounded buffer of
+// recent events so a reconnecting client can resume from its Last-Event-ID.
+const JOB_EVENT_BUFFER_SIZE = 1000;
+const JOB_EVENT_RETENTION_MS = 10 * 60 * 1000;
+const AGGREGATE_EVENT_INTERVAL_MS = parseInt(process.env.AGGREGATE_EVENT_INTERVAL_MS, 10) || 5000;
+const jobEventStreams = new Map();
+
+function getJobEventStream(jobId) {
+    let stream = jobEventStreams.get(jobId);
+    if (!stream) {
+        stream = { emitter: new EventEmitter(), buffer: [], nextId: 1, lastAggregateAt: 0 };
+        stream.emitter.setMaxListeners(0);
+        jobEventStreams.set(jobId, stream);
+    }
+    return stream;
+}
+
+function publishJobEvent(jobId, type, data) {
+    const stream = getJobEventStream(jobId);
+    const event = { id: stream.nextId++, type, data: { jobId, ...data, timestamp: new Date() } };
+    
+    stream.buffer.push(event);
+    if (stream.buffer.length > JOB_EVENT_BUFFER_SIZE) {
+        stream.buffer.shift();
+    }
+    stream.emitter.emit('event', event);
+}
+
+// Running overallScore and aggregateStats, throttled and only computed while someone is listening
+async function publishRunningAggregates(jobId, force = false) {
+    const stream = jobEventStreams.get(jobId);
+    if (!stream || stream.emitter.listenerCount('event') === 0) {
+        return;
+    }
+    if (!force && Date.now() - stream.lastAggregateAt < AGGREGATE_EVENT_INTERVAL_MS) {
+        return;
+    }
+    stream.lastAggregateAt = Date.now();
+    
+    try {
+        const [job, analysisResults] = await Promise.all([getAnalysisJob(jobId), getAnalysisJobResults(jobId)]);
+        publishJobEvent(jobId, 'aggregate', {
+            progress: getJobProgress(job),
+            overallScore: calculateOverallScore(analysisResults),
+            aggregateStats: calculateAggregateStats(analysisResults)
+        });
+    } catch (error) {
+        console.error(`❌ Failed to compute running aggregates for job ${jobId}:`, error.message);
+    }
+}
+
+function closeJobEventStream(jobId) {
+    // Kept for a while so late subscribers still get the tail of the run
+    setTimeout(() => {
+        // A paused job may have been resumed in the meantime
+        if (!activeJobs.has(jobId)) {
+            jobEventStreams.delete(jobId);
+        }
+    }, JOB_EVENT_RETENTION_MS).unref();
+}
+
+function writeSseEvent(res, event) {
+    if (event.id !== undefined) {
+        res.write(`id: ${event.id}\n`);
+    }
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function getSessionId(session) {
+    return session._id?.toString() || session.id || session.session_id;
+}
+
+// The same date fields getChatSessions filters on
+function getSessionDate(session) {
+    const date = session.createdAt || session.timestamp || session.created_at;
+    return date ? new Date(date) : null;
+}
+
+// Session attributes kept with each result so stats can be segmented later
+function getSessionAttributes(session) {
+    const attributes = {};
+    Object.entries(SESSION_FILTER_FIELDS).forEach(([name, fields]) => {
+        const field = fields.find(candidate => session[candidate] !== undefined && session[candidate] !== null);
+        attributes[name] = field ? String(session[field]) : null;
+    });
+    attributes.tags = Array.isArray(session.tags) ? session.tags : [];
+    attributes.sessionDate = getSessionDate(session);
+    return attributes;
+}
+
+async function createAnalysisJob(fromDate, toDate, filter, options, trigger = { type: 'api' }, quota = null) {
+    const db = await getDatabase();
+    const now = new Date();
+    
+    const job = {
+        jobId: crypto.randomUUID(),
+        status: 'queued',
+        fromDate,
+        toDate,
+        filter,
+        options,
+        trigger,
+        quota,
+        totalSessions: 0,
+        processedSessions: 0,
+        cachedSessions: 0,
+        freshSessions: 0,
+        failedSessions: 0,
+        failedSessionDetails: [],
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        executionTime: 0
+    };
+    
+    await db.collection(ANALYSIS_JOBS_COLLECTION).insertOne(job);
+    console.log(`🆕 Created analysis job ${job.jobId} (${fromDate} → ${toDate})`);
+    
+    return job;
+}
+
+async function getAnalysisJob(jobId) {
+    const db = await getDatabase();
+    return db.collection(ANALYSIS_JOBS_COLLECTION).findOne({ jobId }, { projection: { _id: 0 } });
+}
+
+// Reviewer overrides are applied unless `applyOverrides` is false
+async function getAnalysisJobResults(jobId, { applyOverrides = true } = {}) {
+    const db = await getDatabase();
+    const results = await db.collection(ANALYSIS_JOB_RESULTS_COLLECTION)
+        .find({ jobId }, { projection: { _id: 0, jobId: 0 } })
+        .sort({ index: 1 })
+        .toArray();
+    return applyOverrides ? applyReviewOverrides(results) : results;
+}
+
+// Processes every session of a job. Sessions already stored by a previous,
+// interrupted attempt are skipped, so calling this again resumes the job.
+async function runAnalysisJob(jobId) {
+    if (activeJobs.has(jobId)) {
+        console.log(`ℹ️ Job ${jobId} is already running on this instance`);
+        return;
+    }
+    const control = { jobId, abortController: new AbortController(), stopRequested: null };
+    activeJobs.set(jobId, control);
+    // Created before anything is awaited so a client subscribing straight after the 202 gets live events
+    getJobEventStream(jobId);
+    let controlPoll = null;
+    
+    try {
+        const db = await getDatabase();
+        const jobsCollection = db.collection(ANALYSIS_JOBS_COLLECTION);
+        const resultsCollection = db.collection(ANALYSIS_JOB_RESULTS_COLLECTION);
+        
+        // Cancel/pause requests may be made through another server instance
+        controlPoll = setInterval(async () => {
+            try {
+                const current = await jobsCollection.findOne({ jobId }, { projection: { requestedAction: 1 } });
+                if (current?.requestedAction) {
+                    requestJobStop(control, current.requestedAction);
+                }
+            } catch (error) {
+                console.error(`❌ Control poll failed for job ${jobId}:`, error.message);
+            }
+        }, JOB_CONTROL_POLL_MS);
+        
+        const job = await jobsCollection.findOne({ jobId });
+        if (!job) {
+            console.log(`❌ Job ${jobId} not found`);
+            return;
+        }
+        if (job.requestedAction) {
+            requestJobStop(control, job.requestedAction);
+        }
+        
+        console.log(`🚀 Running analysis job ${jobId}...`);
+        console.log('📋 Fetching chat sessions from MongoDB...');
+        const { sessions, populationSize } = await getChatSessionSample(job.fromDate, job.toDate, job.filter || {});
+        
+        const completedSessionIds = new Set(await resultsCollection.distinct('sessionId', { jobId }));
+        const failedSessionIds = new Set(job.failedSessionDetails.map(failure => failure.sessionId).filter(Boolean));
+        const alreadyHandled = job.processedSessions + job.failedSessions;
+        const startedAt = job.startedAt || new Date();
+        
+        await jobsCollection.updateOne({ jobId }, {
+            $set: {
+                status: 'running',
+                totalSessions: sessions.length,
+                populationSize,
+                startedAt,
+                // Used for the ETA, so time spent before a restart is not counted
+                runStartedAt: new Date(),
+                runStartHandled: alreadyHandled,
+                updatedAt: new Date()
+            }
+        });
+        
+        if (alreadyHandled > 0) {
+            console.log(`⏩ Resuming job ${jobId}: ${alreadyHandled}/${sessions.length} sessions already handled`);
+        }
+        const options = { ...DEFAULT_RUN_OPTIONS, ...job.options };
+        const experimentId = job.trigger?.experimentId || null;
+        const acquireSlot = createRateLimiter(options.requestsPerMinute);
+        
+        const rubric = await getScoringRubric(options.rubricId, options.rubricVersion);
+        if (!rubric) {
+            throw new Error(`Scoring rubric ${options.rubricId} v${options.rubricVersion} not found`);
+        }
+        let failedCount = job.failedSessions;
+        let handledCount = alreadyHandled;
+        let budgetExceeded = false;
+        
+        const recordFailure = async (failure) => {
+            failedCount++;
+            handledCount++;
+            await jobsCollection.updateOne({ jobId }, {
+                $inc: { failedSessions: 1 },
+                $push: { failedSessionDetails: failure },
+                $set: { updatedAt: new Date() }
+            });
+            if (!budgetExceeded && isFailureBudgetExceeded(options, failedCount, handledCount)) {
+                budgetExceeded = true;
+                console.log(`🛑 Failure budget exceeded for job ${jobId} (${failedCount}/${handledCount} failed) - aborting`);
+            }
+        };
+        
+        const pendingSessions = [];
+        for (let i = 0; i < sessions.length; i++) {
+            const sessionId = getSessionId(sessions[i]);
+            
+            if (completedSessionIds.has(sessionId) || failedSessionIds.has(sessionId)) {
+                continue;
+            }
+            
+            if (!sessionId) {
+                if (!job.failedSessionDetails.some(failure => !failure.sessionId && failure.index === i)) {
+                    console.log(`❌ No valid session ID found for session ${i}`);
+                    await recordFailure({ index: i, error: 'No valid session ID', errorClass: 'invalid_session', attempts: 0 });
+                }
+                continue;
+            }
+            
+            pendingSessions.push({ index: i, sessionId, session: sessions[i] });
+        }
+        
+        publishJobEvent(jobId, 'job_started', {
+            totalSessions: sessions.length,
+            pendingSessions: pendingSessions.length,
+            resumed: alreadyHandled > 0
+        });
+        console.log(`🔄 Processing ${pendingSessions.length} sessions (concurrency: ${options.concurrency}, ${options.requestsPerMinute} req/min)...`);
+        
+        await runWithConcurrency(pendingSessions, options.concurrency, async ({ index, sessionId, session }) => {
+            console.log(`🔄 Processing session ${index + 1}/${sessions.length}: ${sessionId}`);
+            publishJobEvent(jobId, 'session_start', { sessionId, index });
+            
+            try {
+                const sessionHash = getSessionHash(session);
+                const stored = await findReusableAnalysis(sessionId, sessionHash, options, { includeExperiments: !!experimentId });
+                // Cheap to measure, so never taken from the stored analysis
+                const transcriptMetrics = computeTranscriptMetrics(session);
+                
+                let normalizedResult;
+                let sessionScore;
+                let dataQualityIssues;
+                let attempts = 0;
+                
+                if (stored) {
+                    normalizedResult = stored.analysis;
+                    dataQualityIssues = stored.dataQualityIssues || [];
+                    // Stored scores are only reused when they came from the same rubric version
+                    const storedRubric = stored.score?.rubric;
+                    sessionScore = storedRubric?.rubricId === rubric.rubricId && storedRubric?.version === rubric.version
+                        ? stored.score
+                        : calculateSessionScore(normalizedResult, rubric);
+                } else {
+                    const response = await analyzeSessionWithRetry(session, {
+                        ...options,
+                        acquireSlot,
+                        signal: control.abortController.signal,
+                        onRetry: retry => publishJobEvent(jobId, 'session_retry', { sessionId, index, ...retry })
+                    });
+                    attempts = response.attempts;
+                    const normalized = normalizeAnalysisWithReport(response.result);
+                    if (!normalized.analysis || typeof normalized.analysis !== 'object') {
+                        const error = new Error('Workflow API returned no analysis result');
+                        error.attempts = attempts;
+                        error.errorClass = 'invalid_response';
+                        throw error;
+                    }
+                    normalizedResult = normalized.analysis;
+                    dataQualityIssues = normalized.issues;
+                    if (dataQualityIssues.length > 0) {
+                        console.log(`⚠️ ${dataQualityIssues.length} data-quality issue(s) in session ${sessionId}:`, dataQualityIssues.map(issue => `${issue.field} (${issue.kind})`).join(', '));
+                    }
+                    sessionScore = calculateSessionScore(normalizedResult, rubric);
+                    await saveSessionAnalysis({
+                        sessionId,
+                        sessionHash,
+                        sessionDate: getSessionDate(session),
+                        sessionAttributes: getSessionAttributes(session),
+                        evaluatorInfo: getEvaluatorInfo(options),
+                        analysis: normalizedResult,
+                        score: sessionScore,
+                        dataQualityIssues,
+                        transcriptMetrics,
+                        latencyCheck: checkLatencyClassification(normalizedResult, transcriptMetrics),
+                        jobId,
+                        experimentId
+                    });
+                }
+                
+                await resultsCollection.insertOne({
+                    jobId,
+                    index,
+                    sessionId: sessionId,
+                    sessionAttributes: getSessionAttributes(session),
+                    analysis: normalizedResult,
+                    score: sessionScore,
+                    dataQualityIssues,
+                    transcriptMetrics,
+                    latencyCheck: checkLatencyClassification(normalizedResult, transcriptMetrics),
+                    cached: !!stored,
+                    attempts,
+                    timestamp: new Date()
+                });
+                await jobsCollection.updateOne({ jobId }, {
+                    $inc: { processedSessions: 1, [stored ? 'cachedSessions' : 'freshSessions']: 1 },
+                    $set: { updatedAt: new Date() }
+                });
+                handledCount++;
+                
+                console.log(`✅ Session ${sessionId} ${stored ? 'reused from a stored analysis' : 'processed successfully'} (Score: ${sessionScore.totalScore})`);
+                publishJobEvent(jobId, 'session_success', {
+                    sessionId,
+                    index,
+                    cached: !!stored,
+                    totalScore: sessionScore.totalScore,
+                    breakdown: sessionScore.breakdown
+                });
+                
+            } catch (error) {
+                // Aborted by cancel/pause - left unprocessed so a resume picks it up again
+                if (error.errorClass === 'cancelled' || axios.isCancel(error)) {
+                    console.log(`⏸️ Session ${sessionId} left unprocessed (${control.stopRequested})`);
+                    return;
+                }
+                
+                console.error(`❌ Failed to analyze session ${sessionId}:`, error.message);
+                const failure = {
+                    sessionId,
+                    error: error.message,
+                    index,
+                    attempts: error.attempts || 1,
+                    errorClass: error.errorClass || 'unknown_error',
+                    statusCode: error.statusCode
+                };
+                await recordFailure(failure);
+                publishJobEvent(jobId, 'session_failure', failure);
+            }
+            
+            await publishRunningAggregates(jobId);
+        }, () => budgetExceeded || !!control.stopRequested);
+        
+        // A stop that arrived after the last session was handled doesn't change the outcome
+        let status = 'completed';
+        if (budgetExceeded) {
+            status = 'aborted';
+        } else if (handledCount < sessions.length && control.stopRequested === 'cancel') {
+            status = 'cancelled';
+        } else if (handledCount < sessions.length && control.stopRequested === 'pause') {
+            status = 'paused';
+        }
+        
+        const completedAt = new Date();
+        const finishedJob = await jobsCollection.findOneAndUpdate({ jobId }, {
+            $set: {
+                status,
+                error: budgetExceeded ? `Failure budget exceeded (${failedCount}/${handledCount} sessions failed)` : null,
+                requestedAction: null,
+                completedAt: status === 'paused' ? null : completedAt,
+                pausedAt: status === 'paused' ? completedAt : null,
+                updatedAt: completedAt,
+                executionTime: Math.round((completedAt - startedAt) / 1000)
+            }
+        }, { returnDocument: 'after' });
+        
+        const statusLabels = {
+            completed: '✅ Analysis completed',
+            aborted: '🛑 Analysis aborted',
+            cancelled: '🛑 Analysis cancelled',
+            paused: '⏸️ Analysis paused'
+        };
+        console.log(statusLabels[status]);
+        console.log(`- Job: ${jobId}`);
+        console.log(`- Total sessions: ${finishedJob.totalSessions}`);
+        console.log(`- Processed: ${finishedJob.processedSessions}`);
+        console.log(`- Failed: ${finishedJob.failedSessions}`);
+        console.log(`- Execution time: ${finishedJob.executionTime}s`);
+        
+        if (status !== 'paused') {
+            await settleJobQuota(jobId)
+                .catch(error => console.error(`❌ Quota refund failed for job ${jobId}:`, error.message));
+        }
+        
+        if (status === 'paused') {
+            publishJobEvent(jobId, 'paused', { status, progress: getJobProgress(finishedJob) });
+        } else {
+            const analysisResults = await getAnalysisJobResults(jobId);
+            publishJobEvent(jobId, 'complete', buildJobCompleteEvent(finishedJob, analysisResults));
+            
+            if (status === 'completed' || status === 'aborted') {
+                // Not awaited - slow webhooks shouldn't hold up the job
+                evaluateAlertRules(finishedJob, analysisResults)
+                    .catch(error => console.error('❌ Alert evaluation failed:', error.message));
+            }
+        }
+        
+    } catch (error) {
+        console.error(`💥 Critical failure in analysis job ${jobId}:`, error);
+        console.error('- Error stack:', error.stack);
+        
+        // The failure may be the database itself, so this write can fail too
+        try {
+            const db = await getDatabase();
+            await db.collection(ANALYSIS_JOBS_COLLECTION).updateOne({ jobId }, {
+                $set: {
+                    status: 'failed',
+                    error: error.message,
+                    requestedAction: null,
+                    updatedAt: new Date()
+                }
+            });
+            await settleJobQuota(jobId);
+        } catch (updateError) {
+            console.error(`❌ Could not mark job ${jobId} as failed:`, updateError.message);
+        }
+        publishJobEvent(jobId, 'complete', { status: 'failed', error: error.message });
+    } finally {
+        clearInterval(controlPoll);
+        activeJobs.delete(jobId);
+        closeJobEventStream(jobId);
+    }
+}
+
+// Picks up jobs that were queued or running when the server last stopped
+async function resumeInterruptedJobs() {
+    try {
+        const db = await getDatabase();
+        const interruptedJobs = await db.collection(ANALYSIS_JOBS_COLLECTION)
+            .find({ status: { $in: ['queued', 'running'] } })
+            .sort({ createdAt: 1 })
+            .toArray();
+        
+        if (interruptedJobs.length === 0) {
+            return;
+        }
+        
+        console.log(`⏩ Resuming ${interruptedJobs.length} interrupted analysis job(s)`);
+        for (const job of interruptedJobs) {
+            await runAnalysisJob(job.jobId);
+        }
+    } catch (error) {
+        console.error('❌ Failed to resume interrupted analysis jobs:', error.message);
+    }
+}
+
+function getJobProgress(job) {
+    const handled = job.processedSessions + job.failedSessions;
+    let etaSeconds = null;
+    
+    if (job.status === 'completed') {
+        etaSeconds = 0;
+    } else if (job.status === 'running' && job.runStartedAt) {
+        const handledThisRun = handled - (job.runStartHandled || 0);
+        const remaining = job.totalSessions - handled;
+        if (handledThisRun > 0) {
+            const msPerSession = (Date.now() - new Date(job.runStartedAt).getTime()) / handledThisRun;
+            etaSeconds = Math.round((msPerSession * remaining) / 1000);
+        }
+    }
+    
+    return {
+        totalSessions: job.totalSessions,
+        processedSessions: job.processedSessions,
+        cachedSessions: job.cachedSessions || 0,
+        freshSessions: job.freshSessions || 0,
+        failedSessions: job.failedSessions,
+        remainingSessions: Math.max(0, job.totalSessions - handled),
+        percentComplete: job.totalSessions > 0 ? Math.round((handled / job.totalSessions) * 100) : (job.status === 'completed' ? 100 : 0),
+        etaSeconds
+    };
+}
+
+// Sample description for a job run with a limit or sampling; null when every matching session was used
+function getJobSamplingInfo(job) {
+    const filter = job.filter || {};
+    if (!filter.sampling) {
+        return null;
+    }
+    const populationSize = job.populationSize !== undefined ? job.populationSize : null;
+    
+    return {
+        mode: filter.sampling,
+        sampleSize: job.totalSessions,
+        populationSize,
+        summary: populationSize === null
+            ? `Sample of ${job.totalSessions} sessions (${filter.sampling})`
+            : `Sample of ${job.totalSessions} out of ${populationSize} matching sessions (${filter.sampling})`,
+        ...(filter.stratifyBy && { stratifyBy: filter.stratifyBy }),
+        ...(filter.marginOfError && { targetMarginOfError: filter.marginOfError }),
+        ...(filter.confidenceLevel && { confidenceLevel: filter.confidenceLevel }),
+        ...(filter.seed && { seed: filter.seed })
+    };
+}
+
+// Averages in aggregateStats and the analysis field they are taken from
+const LEVEL_STAT_FIELDS = {
+    average_user_experience_level: 'user_experience.experience_level',
+    average_user_effort_level: 'user_effort.effort_level'
+};
+
+function getFinitePopulationCorrection(sampleSize, populationSize) {
+    if (!populationSize) {
+        return 1;
+    }
+    if (sampleSize >= populationSize) {
+        // The whole population was analyzed - no sampling error
+        return 0;
+    }
+    return Math.sqrt((populationSize - sampleSize) / (populationSize - 1));
+}
+
+function buildInterval(estimate, marginOfError, min, max) {
+    const round = value => Math.round(value * 100) / 100;
+    return {
+        estimate: round(estimate),
+        lower: round(Math.max(min, estimate - marginOfError)),
+        upper: round(Math.min(max, estimate + marginOfError)),
+        marginOfError: round(marginOfError)
+    };
+}
+
+function getMeanInterval(values, z, fpc, min, max) {
+    if (values.length === 0) {
+        return null;
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.length > 1
+        ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+        : 0;
+    return buildInterval(mean, z * Math.sqrt(variance / values.length) * fpc, min, max);
+}
+
+// `percentage` is one of the 0-100 rates in aggregateStats
+function getRateInterval(percentage, sampleSize, z, fpc) {
+    const p = percentage / 100;
+    return buildInterval(percentage, z * Math.sqrt((p * (1 - p)) / sampleSize) * fpc * 100, 0, 100);
+}
+
+// Normal-approximation intervals, with finite population correction, for overallScore and every
+// rate and average in aggregateStats. Stratified samples use proportional allocation, so the plain
+// sample estimates apply.
+function calculateConfidenceIntervals(analysisResults, aggregateStats, populationSize, confidenceLevel) {
+    const sampleSize = analysisResults.length;
+    if (sampleSize === 0) {
+        return null;
+    }
+    const z = CONFIDENCE_LEVEL_Z[confidenceLevel] || CONFIDENCE_LEVEL_Z[DEFAULT_CONFIDENCE_LEVEL];
+    const fpc = getFinitePopulationCorrection(sampleSize, populationSize);
+    
+    const rateIntervals = rates => {
+        const intervals = {};
+        Object.entries(rates).forEach(([key, value]) => {
+            intervals[key] = typeof value === 'number' ? getRateInterval(value, sampleSize, z, fpc) : rateIntervals(value);
+        });
+        return intervals;
+    };
+    
+    const statIntervals = {};
+    Object.entries(aggregateStats).forEach(([stat, value]) => {
+        if (LEVEL_STAT_FIELDS[stat]) {
+            const levels = analysisResults
+                .map(result => getFieldValue(result.analysis || {}, LEVEL_STAT_FIELDS[stat]))
+                .filter(level => typeof level === 'number');
+            statIntervals[stat] = getMeanInterval(levels, z, fpc, 1, 5);
+        } else if (value && typeof value === 'object') {
+            statIntervals[stat] = rateIntervals(value);
+        }
+    });
+    
+    return {
+        confidenceLevel: confidenceLevel || DEFAULT_CONFIDENCE_LEVEL,
+        overallScore: getMeanInterval(analysisResults.map(result => result.score?.totalScore || 0), z, fpc, 0, 100),
+        aggregateStats: statIntervals
+    };
+}
+
+// Builds the analysis payload (same shape as the original synchronous response)
+// from whatever results a job has stored so far. `groupBy` overrides the dimensions
+// requested when the job was created.
+function buildAnalysisData(job, analysisResults, groupBy = job.options?.groupBy || []) {
+    const executionTime = job.completedAt || !job.startedAt
+        ? job.executionTime
+        : Math.round((Date.now() - new Date(job.startedAt).getTime()) / 1000);
+    const aggregateStats = calculateAggregateStats(analysisResults);
+    const sampling = getJobSamplingInfo(job);
+    // Intervals only make sense for a random draw, not for the first N sessions
+    const confidenceIntervals = sampling && sampling.mode !== 'first'
+        ? calculateConfidenceIntervals(analysisResults, aggregateStats, job.populationSize, sampling.confidenceLevel)
+        : null;
+    
+    return {
+        totalSessions: job.totalSessions,
+        processedSessions: job.processedSessions,
+        cachedSessions: job.cachedSessions || 0,
+        freshSessions: job.freshSessions || 0,
+        failedSessions: job.failedSessions,
+        reviewedSessions: analysisResults.filter(result => result.review).length,
+        analysisResults: analysisResults.map(({ index, ...result }) => result),
+        executionTime: executionTime,
+        overallScore: calculateOverallScore(analysisResults),
+        aggregateStats,
+        dataQuality: calculateDataQualityReport(analysisResults),
+        ...(groupBy.length > 0 && { segmentedStats: calculateSegmentedStats(analysisResults, groupBy) }),
+        ...(sampling && { sampling }),
+        ...(confidenceIntervals && { confidenceIntervals }),
+        dateRange: {
+            fromDate: job.fromDate,
+            toDate: job.toDate
+        },
+        filter: job.filter || {},
+        rubric: {
+            rubricId: job.options?.rubricId || DEFAULT_SCORING_RUBRIC.rubricId,
+            version: job.options?.rubricVersion || DEFAULT_SCORING_RUBRIC.version
+        },
+        failedSessionDetails: job.failedSessionDetails
+    };
+}
+
+// Final summary sent as the last SSE event - the full payload stays on the results endpoint
+function buildJobCompleteEvent(job, analysisResults) {
+    return {
+        status: job.status,
+        error: job.error,
+        progress: getJobProgress(job),
+        executionTime: job.executionTime,
+        overallScore: calculateOverallScore(analysisResults),
+        aggregateStats: calculateAggregateStats(analysisResults),
+        resultsUrl: `/api/analysis-jobs/${job.jobId}/results`
+    };
+}
+
+// Validates a run request and starts its job in the background - shared by the API and the scheduler.
+// Invalid requests throw with `status` 400, runs over the caller's daily quota with 429.
+async function startAnalysisJob(fromDate, toDate, body, trigger = { type: 'api' }, auth = null) {
+    let options;
+    let filter;
+    try {
+        options = resolveRunOptions(body);
+        filter = resolveSessionFilter(body);
+    } catch (error) {
+        throw Object.assign(error, { status: 400 });
+    }
+    
+    // Pin the rubric version now so a resumed job keeps scoring the same way
+    const rubric = await getScoringRubric(options.rubricId, options.rubricVersion);
+    if (!rubric) {
+        console.log(`❌ Unknown scoring rubric ${options.rubricId}`);
+        throw Object.assign(new Error(`Scoring rubric "${options.rubricId}" not found`), { status: 400 });
+    }
+    options.rubricVersion = rubric.version;
+    
+    // Reserved up front for every selected session; settleJobQuota refunds what the job didn't spend
+    let quota = null;
+    if (auth?.dailySessionQuota) {
+        const { count: reservedSessions } = await countChatSessionSample(fromDate, toDate, filter);
+        await reserveSessionQuota(auth, reservedSessions);
+        quota = { principalId: auth.principalId, date: getUsageDate(), reservedSessions, settledAt: null };
+    }
+    
+    let job;
+    try {
+        job = await createAnalysisJob(fromDate, toDate, filter, options, trigger, quota);
+    } catch (error) {
+        await releaseSessionQuota(auth, quota?.reservedSessions || 0, quota?.date);
+        throw error;
+    }
+    
+    // Intentionally not awaited - progress is polled through the job endpoints
+    runAnalysisJob(job.jobId)
+        .catch(error => console.error(`❌ Analysis job ${job.jobId} crashed:`, error.message));
+    
+    return job;
+}
+
+// Main analysis endpoint - starts a background job and returns its id right away
+app.post('/api/analyze-conversations', requireRole('analyst'), async (req, res) => {
+    const { fromDate, toDate } = req.body;
+    
+    console.log('🚀 Starting conversation analysis...');
+    console.log('- From date:', fromDate);
+    console.log('- To date:', toDate);
+    
+    if (!fromDate || !toDate) {
+        console.log('❌ Missing date parameters');
+        return res.status(400).json({ 
+            error: 'Both fromDate and toDate are required' 
+        });
+    }
+    
+    try {
+        const job = await startAnalysisJob(fromDate, toDate, req.body, { type: 'api', requestedBy: req.auth.name }, req.auth);
+        
+        const response = {
+            success: true,
+            message: 'Analysis job started',
+            jobId: job.jobId,
+            status: job.status,
+            dateRange: { fromDate, toDate },
+            filter: job.filter,
+            statusUrl: `/api/analysis-jobs/${job.jobId}`,
+            eventsUrl: `/api/analysis-jobs/${job.jobId}/events`,
+            resultsUrl: `/api/analysis-jobs/${job.jobId}/results`
+        };
+        
+        console.log('📤 Sending job response:', JSON.stringify(response, null, 2));
+        res.status(202).json(response);
+        
+    } catch (error) {
+        if (error.status === 400) {
+            console.log('❌ Invalid run options:', error.message);
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.status === 429) {
+            console.log(`🔒 Quota exceeded for ${req.auth.name}:`, error.message);
+            return res.status(429).json({ success: false, error: error.message });
+        }
+        
+        console.error('💥 Failed to start analysis job:', error);
+        console.error('- Error stack:', error.stack);
+        
+        const response = {
+            success: false,
+            error: error.message,
+            details: 'Check server logs for more information',
+            debugInfo: {
+                stack: error.stack,
+                code: error.code
+            }
+        };
+        
+        console.log('📤 Sending critical error response:', JSON.stringify(response, null, 2));
+        res.status(500).json(response);
+    }
+});
+
+// List recent analysis jobs
+app.get('/api/analysis-jobs', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    
+    try {
+        const db = await getDatabase();
+        const jobs = await db.collection(ANALYSIS_JOBS_COLLECTION)
+            .find({}, { projection: { _id: 0, failedSessionDetails: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+        
+        res.json({
+            success: true,
+            jobs: jobs.map(job => ({ ...job, progress: getJobProgress(job) }))
+        });
+    } catch (error) {
+        console.error('❌ Listing analysis jobs failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Server-Sent Events stream of a job's progress. Reconnecting clients send
+// Last-Event-ID (or ?lastEventId=) to resume where they left off.
+app.get('/api/analysis-jobs/:jobId/events', async (req, res) => {
+    const { jobId } = req.params;
+    
+    let job;
+    try {
+        job = await getAnalysisJob(jobId);
+    } catch (error) {
+        console.error('❌ Job events lookup failed:', error.message);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Analysis job not found' });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    console.log(`📡 Event stream opened for job ${jobId}`);
+    
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    const isFinished = status => FINISHED_JOB_STATUSES.includes(status);
+    // A job that is still loading its sessions has not published anything yet
+    const stream = activeJobs.has(jobId) ? getJobEventStream(jobId) : jobEventStreams.get(jobId);
+    let pollTimer = null;
+    
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        clearInterval(pollTimer);
+        stream?.emitter.off('event', onEvent);
+    };
+    const onEvent = event => {
+        writeSseEvent(res, event);
+        if (event.type === 'complete') {
+            cleanup();
+            res.end();
+        }
+    };
+    
+    if (stream) {
+        const missed = stream.buffer.filter(event => event.id > lastEventId);
+        // Some events fell out of the buffer - start the client off with a snapshot
+        if (lastEventId > 0 && stream.buffer.length > 0 && stream.buffer[0].id > lastEventId + 1) {
+            writeSseEvent(res, { type: 'snapshot', data: { jobId, status: job.status, progress: getJobProgress(job) } });
+        }
+        for (const event of missed) {
+            onEvent(event);
+            if (event.type === 'complete') {
+                return;
+            }
+        }
+        // The client already saw the end of the run
+        if (stream.buffer.some(event => event.type === 'complete')) {
+            cleanup();
+            return res.end();
+        }
+        stream.emitter.on('event', onEvent);
+    } else {
+        // Not running on this instance - report state from MongoDB until it finishes
+        writeSseEvent(res, { type: 'snapshot', data: { jobId, status: job.status, progress: getJobProgress(job) } });
+        
+        const sendCompleteIfFinished = async currentJob => {
+            if (!isFinished(currentJob.status)) {
+                return false;
+            }
+            const analysisResults = await getAnalysisJobResults(jobId);
+            onEvent({ type: 'complete', data: buildJobCompleteEvent(currentJob, analysisResults) });
+            return true;
+        };
+        
+        if (await sendCompleteIfFinished(job)) {
+            return;
+        }
+        pollTimer = setInterval(async () => {
+            try {
+                const currentJob = await getAnalysisJob(jobId);
+                if (!(await sendCompleteIfFinished(currentJob))) {
+                    writeSseEvent(res, { type: 'snapshot', data: { jobId, status: currentJob.status, progress: getJobProgress(currentJob) } });
+                }
+            } catch (error) {
+                console.error(`❌ Job events poll failed for ${jobId}:`, error.message);
+            }
+        }, AGGREGATE_EVENT_INTERVAL_MS);
+    }
+    
+    req.on('close', () => {
+        cleanup();
+        console.log(`📡 Event stream closed for job ${jobId}`);
+    });
+});
+
+// Job status and progress
+app.get('/api/analysis-jobs/:jobId', async (req, res) => {
+    try {
+        const job = await getAnalysisJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        
+        res.json({
+            success: true,
+            jobId: job.jobId,
+            status: job.status,
+            error: job.error,
+            dateRange: { fromDate: job.fromDate, toDate: job.toDate },
+            filter: job.filter || {},
+            sampling: getJobSamplingInfo(job),
+            options: job.options,
+            requestedAction: job.requestedAction || null,
+            progress: getJobProgress(job),
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt
+        });
+    } catch (error) {
+        console.error('❌ Job status lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Partial results while a job runs, the final payload once it has completed
+app.get('/api/analysis-jobs/:jobId/results', async (req, res) => {
+    try {
+        const job = await getAnalysisJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        
+        let groupBy;
+        try {
+            groupBy = req.query.groupBy !== undefined ? resolveGroupBy(req.query.groupBy) : undefined;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const analysisResults = await getAnalysisJobResults(job.jobId, { applyOverrides: shouldApplyOverrides(req.query.overrides) });
+        const data = buildAnalysisData(job, analysisResults, groupBy);
+        
+        res.json({
+            success: job.status !== 'failed',
+            message: getJobResultMessage(job),
+            jobId: job.jobId,
+            status: job.status,
+            progress: getJobProgress(job),
+            data
+        });
+    } catch (error) {
+        console.error('❌ Job results lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+function getJobResultMessage(job) {
+    const handled = job.processedSessions + job.failedSessions;
+    
+    switch (job.status) {
+        case 'completed':
+            return job.totalSessions === 0
+                ? 'No sessions found for the specified date range'
+                : `Analysis completed: ${job.processedSessions}/${job.totalSessions} sessions processed`;
+        case 'failed':
+        case 'aborted':
+            return `Analysis ${job.status}: ${job.error}`;
+        case 'cancelled':
+            return `Analysis cancelled: partial results for ${handled}/${job.totalSessions} sessions`;
+        case 'paused':
+            return `Analysis paused: ${handled}/${job.totalSessions} sessions handled`;
+        default:
+            return `Analysis in progress: ${handled}/${job.totalSessions} sessions handled`;
+    }
+}
+
+// Polls until a job has stopped running, or the timeout passes
+async function waitForJobToStop(jobId, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    let job = await getAnalysisJob(jobId);
+    
+    while (job && ['queued', 'running'].includes(job.status) && Date.now() < deadline) {
+        await sleep(250);
+        job = await getAnalysisJob(jobId);
+    }
+    return job;
+}
+
+// Records a cancel/pause request on the job and stops it if it runs on this instance
+async function requestJobAction(job, action) {
+    const db = await getDatabase();
+    const jobsCollection = db.collection(ANALYSIS_JOBS_COLLECTION);
+    
+    if (job.status === 'paused' && action === 'cancel') {
+        // Nothing is running - finish it straight away
+        const now = new Date();
+        await jobsCollection.updateOne({ jobId: job.jobId }, {
+            $set: { status: 'cancelled', requestedAction: null, completedAt: now, updatedAt: now }
+        });
+        await settleJobQuota(job.jobId);
+        publishJobEvent(job.jobId, 'complete', buildJobCompleteEvent(
+            await getAnalysisJob(job.jobId),
+            await getAnalysisJobResults(job.jobId)
+        ));
+        // Publishing may have recreated the paused run's expired stream
+        closeJobEventStream(job.jobId);
+        return;
+    }
+    
+    await jobsCollection.updateOne({ jobId: job.jobId }, {
+        $set: { requestedAction: action, updatedAt: new Date() }
+    });
+    
+    const control = activeJobs.get(job.jobId);
+    if (control) {
+        requestJobStop(control, action);
+    }
+}
+
+// Cancel a job. In-flight requests are aborted and the partial result is returned.
+app.post('/api/analysis-jobs/:jobId/cancel', requireRole('analyst'), async (req, res) => {
+    try {
+        const job = await getAnalysisJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        if (FINISHED_JOB_STATUSES.includes(job.status)) {
+            return res.status(409).json({ success: false, error: `Analysis job is already ${job.status}` });
+        }
+        
+        console.log(`🛑 Cancelling analysis job ${job.jobId}`);
+        await requestJobAction(job, 'cancel');
+        
+        const stoppedJob = await waitForJobToStop(job.jobId);
+        const analysisResults = await getAnalysisJobResults(job.jobId);
+        
+        res.status(stoppedJob.status === 'cancelled' ? 200 : 202).json({
+            success: true,
+            message: stoppedJob.status === 'cancelled' ? getJobResultMessage(stoppedJob) : 'Cancellation requested',
+            jobId: stoppedJob.jobId,
+            status: stoppedJob.status,
+            progress: getJobProgress(stoppedJob),
+            data: buildAnalysisData(stoppedJob, analysisResults)
+        });
+    } catch (error) {
+        console.error('❌ Job cancellation failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Pause a job. Sessions that were in flight are left for the resume.
+app.post('/api/analysis-jobs/:jobId/pause', requireRole('analyst'), async (req, res) => {
+    try {
+        const job = await getAnalysisJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        if (!['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({ success: false, error: `Only queued or running jobs can be paused (job is ${job.status})` });
+        }
+        
+        console.log(`⏸️ Pausing analysis job ${job.jobId}`);
+        await requestJobAction(job, 'pause');
+        
+        const stoppedJob = await waitForJobToStop(job.jobId);
+        
+        res.status(stoppedJob.status === 'paused' ? 200 : 202).json({
+            success: true,
+            message: stoppedJob.status === 'paused' ? getJobResultMessage(stoppedJob) : 'Pause requested',
+            jobId: stoppedJob.jobId,
+            status: stoppedJob.status,
+            progress: getJobProgress(stoppedJob)
+        });
+    } catch (error) {
+        console.error('❌ Job pause failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Resume a paused job from the next unprocessed session
+app.post('/api/analysis-jobs/:jobId/resume', requireRole('analyst'), async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const job = await db.collection(ANALYSIS_JOBS_COLLECTION).findOneAndUpdate(
+            { jobId: req.params.jobId, status: 'paused' },
+            { $set: { status: 'queued', requestedAction: null, pausedAt: null, updatedAt: new Date() } },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+        
+        if (!job) {
+            const existing = await getAnalysisJob(req.params.jobId);
+            return existing
+                ? res.status(409).json({ success: false, error: `Only paused jobs can be resumed (job is ${existing.status})` })
+                : res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        
+        console.log(`▶️ Resuming analysis job ${job.jobId}`);
+        
+        // Intentionally not awaited - same as a new job
+        runAnalysisJob(job.jobId)
+            .catch(error => console.error(`❌ Analysis job ${job.jobId} crashed:`, error.message));
+        
+        res.status(202).json({
+            success: true,
+            message: 'Analysis job resumed',
+            jobId: job.jobId,
+            status: job.status,
+            progress: getJobProgress(job)
+        });
+    } catch (error) {
+        console.error('❌ Job resume failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Scoring rubric management. Every change creates a new version; old versions
+// are kept so historical scores stay explainable.
+app.get('/api/rubrics', async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const rubrics = await db.collection(SCORING_RUBRICS_COLLECTION)
+            .find({ deleted: { $ne: true } }, { projection: { _id: 0 } })
+            .sort({ rubricId: 1, version: -1 })
+            .toArray();
+        
+        // Latest version of each rubric
+        const latest = rubrics.filter((rubric, i) => i === 0 || rubrics[i - 1].rubricId !== rubric.rubricId);
+        
+        res.json({ success: true, rubrics: [DEFAULT_SCORING_RUBRIC, ...latest] });
+    } catch (error) {
+        console.error('❌ Listing rubrics failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/rubrics/:rubricId', async (req, res) => {
+    try {
+        const rubric = await getScoringRubric(req.params.rubricId, req.query.version);
+        if (!rubric) {
+            return res.status(404).json({ success: false, error: 'Rubric not found' });
+        }
+        res.json({ success: true, rubric });
+    } catch (error) {
+        console.error('❌ Rubric lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/rubrics/:rubricId/versions', async (req, res) => {
+    try {
+        if (req.params.rubricId === DEFAULT_SCORING_RUBRIC.rubricId) {
+            return res.json({ success: true, versions: [DEFAULT_SCORING_RUBRIC] });
+        }
+        
+        const db = await getDatabase();
+        const versions = await db.collection(SCORING_RUBRICS_COLLECTION)
+            .find({ rubricId: req.params.rubricId }, { projection: { _id: 0 } })
+            .sort({ version: -1 })
+            .toArray();
+        
+        if (versions.length === 0) {
+            return res.status(404).json({ success: false, error: 'Rubric not found' });
+        }
+        res.json({ success: true, versions });
+    } catch (error) {
+        console.error('❌ Rubric versions lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/rubrics', requireRole('admin'), async (req, res) => {
+    const { rubricId, name, description, components, penalties } = req.body;
+    const rubric = { rubricId, version: 1, name: name || rubricId, description: description || '', components, penalties: penalties ?? {} };
+    
+    const errors = validateScoringRubric(rubric);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid scoring rubric', details: errors });
+    }
+    
+    try {
+        const db = await getDatabase();
+        const collection = db.collection(SCORING_RUBRICS_COLLECTION);
+        
+        // A deleted rubric's id can be reused; its old versions are kept, so numbering carries on after them
+        const previous = await collection.findOne({ rubricId }, { sort: { version: -1 } });
+        if (rubricId === DEFAULT_SCORING_RUBRIC.rubricId || (previous && !previous.deleted)) {
+            return res.status(409).json({ success: false, error: `Rubric "${rubricId}" already exists` });
+        }
+        rubric.version = previous ? previous.version + 1 : 1;
+        
+        // Unique { rubricId, version } index - a concurrent create of the same id lands here
+        await collection.insertOne({ ...rubric, createdAt: new Date() });
+        console.log(`📐 Created scoring rubric ${rubricId} v${rubric.version}`);
+        
+        res.status(201).json({ success: true, rubric: await getScoringRubric(rubricId, rubric.version) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, error: `Rubric "${rubricId}" already exists` });
+        }
+        console.error('❌ Rubric creation failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/rubrics/:rubricId', requireRole('admin'), async (req, res) => {
+    const { rubricId } = req.params;
+    
+    if (rubricId === DEFAULT_SCORING_RUBRIC.rubricId) {
+        return res.status(400).json({ success: false, error: 'The built-in default rubric cannot be modified' });
+    }
+    
+    try {
+        const current = await getScoringRubric(rubricId);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Rubric not found' });
+        }
+        
+        const { name, description, components, penalties } = req.body;
+        const rubric = {
+            rubricId,
+            version: current.version + 1,
+            name: name || current.name,
+            description: description !== undefined ? description : current.description,
+            components: components || current.components,
+            penalties: penalties || current.penalties
+        };
+        
+        const errors = validateScoringRubric(rubric);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid scoring rubric', details: errors });
+        }
+        
+        const db = await getDatabase();
+        await db.collection(SCORING_RUBRICS_COLLECTION).insertOne({ ...rubric, createdAt: new Date() });
+        console.log(`📐 Created scoring rubric ${rubricId} v${rubric.version}`);
+        
+        res.json({ success: true, rubric: await getScoringRubric(rubricId, rubric.version) });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, error: `Rubric "${rubricId}" was changed concurrently - retry the update` });
+        }
+        console.error('❌ Rubric update failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Soft delete - the versions stay available for explaining old scores
+app.delete('/api/rubrics/:rubricId', requireRole('admin'), async (req, res) => {
+    const { rubricId } = req.params;
+    
+    if (rubricId === DEFAULT_SCORING_RUBRIC.rubricId) {
+        return res.status(400).json({ success: false, error: 'The built-in default rubric cannot be deleted' });
+    }
+    
+    try {
+        const db = await getDatabase();
+        const result = await db.collection(SCORING_RUBRICS_COLLECTION).updateMany(
+            { rubricId },
+            { $set: { deleted: true, deletedAt: new Date() } }
+        );
+        
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ success: false, error: 'Rubric not found' });
+        }
+        console.log(`🗑️ Deleted scoring rubric ${rubricId}`);
+        
+        res.json({ success: true, rubricId });
+    } catch (error) {
+        console.error('❌ Rubric deletion failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Latest stored analysis for each of the given sessions, with reviewer overrides unless `applyOverrides`
+// is false. Experiment analyses only with `includeExperiments`.
+async function getLatestSessionAnalyses(sessionIds, { applyOverrides = true, includeExperiments = false } = {}) {
+    const db = await getDatabase();
+    const analyses = await db.collection(SESSION_ANALYSES_COLLECTION)
+        .find(excludeExperimentAnalyses({ sessionId: { $in: sessionIds } }, includeExperiments), { projection: { _id: 0 } })
+        .sort({ analyzedAt: -1 })
+        .toArray();
+    
+    const latest = new Map();
+    analyses.forEach(stored => {
+        if (!latest.has(stored.sessionId)) {
+            latest.set(stored.sessionId, stored);
+        }
+    });
+    if (!applyOverrides) {
+        return latest;
+    }
+    const reviewed = await applyReviewOverrides([...latest.values()], sessionIds);
+    return new Map(reviewed.map(stored => [stored.sessionId, stored]));
+}
+
+function diffBreakdowns(oldBreakdown = {}, newBreakdown = {}) {
+    const diff = {};
+    new Set([...Object.keys(oldBreakdown), ...Object.keys(newBreakdown)]).forEach(component => {
+        const oldValue = oldBreakdown[component] || 0;
+        const newValue = newBreakdown[component] || 0;
+        diff[component] = {
+            old: Math.round(oldValue * 100) / 100,
+            new: Math.round(newValue * 100) / 100,
+            delta: Math.round((newValue - oldValue) * 100) / 100
+        };
+    });
+    return diff;
+}
+
+// Re-score stored analyses under a rubric - no workflow API calls
+app.post('/api/rescore', requireRole('analyst'), async (req, res) => {
+    const { fromDate, toDate, sessionIds, rubricId, rubricVersion, includeDiff } = req.body;
+    
+    console.log('🧮 Re-scoring stored analyses...');
+    
+    if (!(fromDate && toDate) && !Array.isArray(sessionIds)) {
+        return res.status(400).json({ 
+            error: 'Either fromDate and toDate or a sessionIds array is required' 
+        });
+    }
+    if (Array.isArray(sessionIds) && !sessionIds.every(id => typeof id === 'string')) {
+        return res.status(400).json({ error: 'sessionIds must be an array of strings' });
+    }
+    
+    try {
+        const rubric = await getScoringRubric(rubricId || DEFAULT_SCORING_RUBRIC.rubricId, rubricVersion);
+        if (!rubric) {
+            return res.status(400).json({ error: `Scoring rubric "${rubricId}" not found` });
+        }
+        
+        const requestedIds = Array.isArray(sessionIds)
+            ? [...new Set(sessionIds)]
+            : await getChatSessionIds(fromDate, toDate);
+        
+        const storedAnalyses = await getLatestSessionAnalyses(requestedIds, { applyOverrides: shouldApplyOverrides(req.body.overrides) });
+        const missingSessions = requestedIds.filter(sessionId => !storedAnalyses.has(sessionId));
+        
+        const analysisResults = [];
+        const previousResults = [];
+        requestedIds.filter(sessionId => storedAnalyses.has(sessionId)).forEach(sessionId => {
+            const stored = storedAnalyses.get(sessionId);
+            analysisResults.push({
+                sessionId,
+                analysis: stored.analysis,
+                score: calculateSessionScore(stored.analysis, rubric),
+                analyzedAt: stored.analyzedAt
+            });
+            previousResults.push({ sessionId, score: stored.score });
+        });
+        
+        const overallScore = calculateOverallScore(analysisResults);
+        
+        const data = {
+            totalSessions: requestedIds.length,
+            rescoredSessions: analysisResults.length,
+            missingSessions,
+            analysisResults,
+            overallScore,
+            scoreBreakdown: calculateAverageBreakdown(analysisResults),
+            aggregateStats: calculateAggregateStats(analysisResults),
+            rubric: { rubricId: rubric.rubricId, version: rubric.version },
+            ...(Array.isArray(sessionIds) ? { sessionIds: requestedIds } : { dateRange: { fromDate, toDate } })
+        };
+        
+        if (includeDiff) {
+            const previousOverallScore = calculateOverallScore(previousResults);
+            data.diff = {
+                overall: {
+                    oldScore: previousOverallScore,
+                    newScore: overallScore,
+                    delta: Math.round((overallScore - previousOverallScore) * 100) / 100,
+                    breakdown: diffBreakdowns(calculateAverageBreakdown(previousResults), data.scoreBreakdown)
+                },
+                sessions: analysisResults.map((result, i) => ({
+                    sessionId: result.sessionId,
+                    oldRubric: previousResults[i].score?.rubric || null,
+                    oldScore: previousResults[i].score.totalScore,
+                    newScore: result.score.totalScore,
+                    delta: Math.round((result.score.totalScore - previousResults[i].score.totalScore) * 100) / 100,
+                    breakdown: diffBreakdowns(previousResults[i].score.breakdown, result.score.breakdown)
+                }))
+            };
+        }
+        
+        console.log(`✅ Re-scored ${analysisResults.length}/${requestedIds.length} sessions with rubric ${rubric.rubricId} v${rubric.version}`);
+        res.json({
+            success: true,
+            message: `Re-scored ${analysisResults.length}/${requestedIds.length} sessions`,
+            data
+        });
+    } catch (error) {
+        console.error('❌ Re-scoring failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Latest stored analysis of every session whose own date falls in the range, with
+// reviewer overrides unless `applyOverrides` is false. Experiment analyses only with `includeExperiments`.
+async function getStoredAnalysesInRange(fromDate, toDate, { applyOverrides = true, includeExperiments = false } = {}) {
+    const { startDate, endDate } = getDateRangeBounds(fromDate, toDate);
+    const db = await getDatabase();
+    
+    const analyses = await db.collection(SESSION_ANALYSES_COLLECTION)
+        .find(excludeExperimentAnalyses({ sessionDate: { $gte: startDate, $lte: endDate } }, includeExperiments), { projection: { _id: 0 } })
+        .sort({ analyzedAt: -1 })
+        .toArray();
+    
+    const latest = new Map();
+    analyses.forEach(stored => {
+        if (!latest.has(stored.sessionId)) {
+            latest.set(stored.sessionId, stored);
+        }
+    });
+    return applyOverrides ? applyReviewOverrides([...latest.values()]) : [...latest.values()];
+}
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+// Start of the UTC day, ISO week (Monday) or month containing `date`
+function getBucketStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (interval === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+}
+
+function getNextBucketStart(start, interval) {
+    const next = new Date(start);
+    if (interval === 'day') {
+        next.setUTCDate(next.getUTCDate() + 1);
+    } else if (interval === 'week') {
+        next.setUTCDate(next.getUTCDate() + 7);
+    } else {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+    return next;
+}
+
+function roundDelta(current, previous) {
+    return previous === null || current === null ? null : Math.round((current - previous) * 100) / 100;
+}
+
+// Summary metrics for one trend bucket
+function summarizeTrendBucket(analysisResults) {
+    if (analysisResults.length === 0) {
+        return {
+            sessionCount: 0,
+            averageScore: null,
+            scoreBreakdown: {},
+            escalationRate: null,
+            resolutionRate: null,
+            completionRate: null,
+            sentimentDistribution: {}
+        };
+    }
+    
+    const aggregateStats = calculateAggregateStats(analysisResults);
+    return {
+        sessionCount: analysisResults.length,
+        averageScore: calculateOverallScore(analysisResults),
+        scoreBreakdown: calculateAverageBreakdown(analysisResults),
+        escalationRate: aggregateStats.average_human_escalation_rate.yes || 0,
+        resolutionRate: aggregateStats.average_issue_resolution_rate.resolved || 0,
+        completionRate: aggregateStats.average_chat_completion_rate.yes || 0,
+        sentimentDistribution: aggregateStats.average_user_sentiment_distribution
+    };
+}
+
+// Buckets results by session date. Empty buckets are kept so the series has no gaps.
+function buildTrendSeries(analysisResults, fromDate, toDate, interval) {
+    const { startDate, endDate } = getDateRangeBounds(fromDate, toDate);
+    const buckets = new Map();
+    
+    for (let start = getBucketStart(startDate, interval); start <= endDate; start = getNextBucketStart(start, interval)) {
+        buckets.set(start.getTime(), []);
+    }
+    analysisResults.forEach(result => {
+        const key = getBucketStart(new Date(result.sessionDate), interval).getTime();
+        if (buckets.has(key)) {
+            buckets.get(key).push(result);
+        }
+    });
+    
+    let previous = null;
+    return [...buckets.entries()].map(([key, results]) => {
+        const start = new Date(key);
+        const summary = summarizeTrendBucket(results);
+        
+        const bucket = {
+            period: interval === 'month' ? start.toISOString().slice(0, 7) : start.toISOString().slice(0, 10),
+            start,
+            end: new Date(getNextBucketStart(start, interval).getTime() - 1),
+            ...summary,
+            deltas: {
+                sessionCount: previous ? summary.sessionCount - previous.sessionCount : null,
+                averageScore: roundDelta(summary.averageScore, previous ? previous.averageScore : null),
+                escalationRate: roundDelta(summary.escalationRate, previous ? previous.escalationRate : null),
+                resolutionRate: roundDelta(summary.resolutionRate, previous ? previous.resolutionRate : null),
+                completionRate: roundDelta(summary.completionRate, previous ? previous.completionRate : null)
+            }
+        };
+        previous = summary;
+        return bucket;
+    });
+}
+
+// Time series of scores and rates from stored analyses - no workflow API calls
+app.get('/api/trends', async (req, res) => {
+    const { fromDate, toDate, rubricId, rubricVersion } = req.query;
+    const interval = req.query.interval || 'day';
+    
+    console.log('📈 Trend requested for:', fromDate, 'to', toDate, `(${interval})`);
+    
+    if (!fromDate || !toDate) {
+        return res.status(400).json({ 
+            error: 'Both fromDate and toDate are required' 
+        });
+    }
+    if (!TREND_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `interval must be one of ${TREND_INTERVALS.join(', ')}` });
+    }
+    
+    try {
+        // Stored scores are used as-is unless a rubric is asked for
+        let rubric = null;
+        if (rubricId) {
+            rubric = await getScoringRubric(rubricId, rubricVersion);
+            if (!rubric) {
+                return res.status(400).json({ error: `Scoring rubric "${rubricId}" not found` });
+            }
+        }
+        
+        const storedAnalyses = await getStoredAnalysesInRange(fromDate, toDate, { applyOverrides: shouldApplyOverrides(req.query.overrides), includeExperiments: shouldIncludeExperiments(req.query.includeExperiments) });
+        const analysisResults = storedAnalyses.map(stored => ({
+            sessionId: stored.sessionId,
+            sessionDate: stored.sessionDate,
+            analysis: stored.analysis,
+            score: rubric ? calculateSessionScore(stored.analysis, rubric) : stored.score
+        }));
+        
+        res.json({
+            success: true,
+            data: {
+                interval,
+                dateRange: { fromDate, toDate },
+                rubric: rubric ? { rubricId: rubric.rubricId, version: rubric.version } : null,
+                totalSessions: analysisResults.length,
+                series: buildTrendSeries(analysisResults, fromDate, toDate, interval)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Trend calculation failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Rates compared for significance: field, the value counted as a "hit", and the label used in the response
+const COMPARISON_RATE_METRICS = [
+    { key: 'escalationRate', field: 'human_escalation.is_escalated', value: 'yes' },
+    { key: 'resolutionRate', field: 'issue_status.status', value: 'resolved' },
+    { key: 'accuracyRate', field: 'accuracy_level', value: 'correct' },
+    { key: 'completionRate', field: 'is_chat_completed', value: 'yes' }
+];
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided two-proportion z-test of x1/n1 against x2/n2
+function twoProportionZTest(x1, n1, x2, n2) {
+    if (n1 === 0 || n2 === 0) {
+        return { zScore: null, pValue: null };
+    }
+    const pooled = (x1 + x2) / (n1 + n2);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    if (standardError === 0) {
+        return { zScore: 0, pValue: 1 };
+    }
+    const zScore = (x2 / n2 - x1 / n1) / standardError;
+    return { zScore, pValue: 2 * (1 - normalCdf(Math.abs(zScore))) };
+}
+
+// Flattens nested numeric values into { 'a.b': number }
+function flattenNumericMetrics(obj, prefix = '', out = {}) {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (typeof value === 'number') {
+            out[path] = value;
+        } else if (value && typeof value === 'object') {
+            flattenNumericMetrics(value, path, out);
+        }
+    });
+    return out;
+}
+
+function calculateMetricDeltas(baselineMetrics, currentMetrics) {
+    const deltas = {};
+    new Set([...Object.keys(baselineMetrics), ...Object.keys(currentMetrics)]).forEach(metric => {
+        const baseline = baselineMetrics[metric] || 0;
+        const current = currentMetrics[metric] || 0;
+        deltas[metric] = {
+            baseline,
+            current,
+            absoluteDelta: Math.round((current - baseline) * 100) / 100,
+            // Relative change in percent; undefined when the baseline is 0
+            relativeDelta: baseline !== 0 ? Math.round(((current - baseline) / Math.abs(baseline)) * 10000) / 100 : null
+        };
+    });
+    return deltas;
+}
+
+function compareRates(baselineResults, currentResults, alpha) {
+    const comparison = {};
+    
+    COMPARISON_RATE_METRICS.forEach(({ key, field, value }) => {
+        const countHits = results => results.filter(result => getFieldValue(result.analysis, field) === value).length;
+        const n1 = baselineResults.length;
+        const n2 = currentResults.length;
+        const x1 = countHits(baselineResults);
+        const x2 = countHits(currentResults);
+        const { zScore, pValue } = twoProportionZTest(x1, n1, x2, n2);
+        
+        // The normal approximation needs at least ~5 expected hits and misses per period
+        const pooled = n1 + n2 > 0 ? (x1 + x2) / (n1 + n2) : 0;
+        const reliable = [n1, n2].every(n => n * pooled >= 5 && n * (1 - pooled) >= 5);
+        
+        comparison[key] = {
+            field,
+            value,
+            baseline: { count: x1, total: n1, rate: n1 > 0 ? Math.round((x1 / n1) * 10000) / 100 : null },
+            current: { count: x2, total: n2, rate: n2 > 0 ? Math.round((x2 / n2) * 10000) / 100 : null },
+            zScore: zScore === null ? null : Math.round(zScore * 1000) / 1000,
+            pValue: pValue === null ? null : Math.round(pValue * 10000) / 10000,
+            significant: pValue !== null && pValue < alpha,
+            reliable
+        };
+    });
+    
+    return comparison;
+}
+
+async function loadPeriodResults(period, rubric, applyOverrides) {
+    const storedAnalyses = await getStoredAnalysesInRange(period.fromDate, period.toDate, { applyOverrides });
+    return storedAnalyses.map(stored => ({
+        sessionId: stored.sessionId,
+        analysis: stored.analysis,
+        score: rubric ? calculateSessionScore(stored.analysis, rubric) : stored.score
+    }));
+}
+
+// Compare two date ranges ("this week vs last week") from stored analyses
+app.post('/api/compare-periods', async (req, res) => {
+    const { baseline, current, rubricId, rubricVersion } = req.body;
+    const alpha = req.body.alpha !== undefined ? Number(req.body.alpha) : 0.05;
+    
+    console.log('⚖️ Period comparison requested:', JSON.stringify({ baseline, current }));
+    
+    const isValidPeriod = period => period && period.fromDate && period.toDate;
+    if (!isValidPeriod(baseline) || !isValidPeriod(current)) {
+        return res.status(400).json({ 
+            error: 'baseline and current are required, each with fromDate and toDate' 
+        });
+    }
+    if (Number.isNaN(alpha) || alpha <= 0 || alpha >= 1) {
+        return res.status(400).json({ error: 'alpha must be a number between 0 and 1' });
+    }
+    
+    try {
+        let rubric = null;
+        if (rubricId) {
+            rubric = await getScoringRubric(rubricId, rubricVersion);
+            if (!rubric) {
+                return res.status(400).json({ error: `Scoring rubric "${rubricId}" not found` });
+            }
+        }
+        
+        const [baselineResults, currentResults] = await Promise.all([
+            loadPeriodResults(baseline, rubric, shouldApplyOverrides(req.body.overrides)),
+            loadPeriodResults(current, rubric, shouldApplyOverrides(req.body.overrides))
+        ]);
+        
+        const summarize = (period, results) => ({
+            dateRange: { fromDate: period.fromDate, toDate: period.toDate },
+            totalSessions: results.length,
+            overallScore: calculateOverallScore(results),
+            scoreBreakdown: calculateAverageBreakdown(results),
+            aggregateStats: calculateAggregateStats(results)
+        });
+        const baselineSummary = summarize(baseline, baselineResults);
+        const currentSummary = summarize(current, currentResults);
+        
+        res.json({
+            success: true,
+            data: {
+                rubric: rubric ? { rubricId: rubric.rubricId, version: rubric.version } : null,
+                baseline: baselineSummary,
+                current: currentSummary,
+                deltas: {
+                    overallScore: calculateMetricDeltas(
+                        { overallScore: baselineSummary.overallScore },
+                        { overallScore: currentSummary.overallScore }
+                    ).overallScore,
+                    scoreBreakdown: calculateMetricDeltas(baselineSummary.scoreBreakdown, currentSummary.scoreBreakdown),
+                    aggregateStats: calculateMetricDeltas(
+                        flattenNumericMetrics(baselineSummary.aggregateStats),
+                        flattenNumericMetrics(currentSummary.aggregateStats)
+                    )
+                },
+                significance: {
+                    test: 'two-proportion z-test (two-sided)',
+                    alpha,
+                    rates: compareRates(baselineResults, currentResults, alpha)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Period comparison failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Streaming CSV/XLSX export of per-session results and the run summary
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const CSV_EXPORT_SHEETS = ['sessions', 'summary', 'failures'];
+const EXPORT_ANALYSIS_FIELDS = Object.keys(ANALYSIS_SCHEMA);
+const FAILURE_EXPORT_COLUMNS = ['sessionId', 'index', 'errorClass', 'statusCode', 'attempts', 'error'];
+
+// Flattens nested fields into { 'a.b': value }; arrays are kept whole
+function flattenFields(obj, prefix = '', out = {}) {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            flattenFields(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    });
+    return out;
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    // Stop spreadsheet apps from evaluating text as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+function clientDisconnectedError() {
+    return Object.assign(new Error('Client disconnected'), { clientDisconnected: true });
+}
+
+// Writes with backpressure so large exports don't pile up in memory. Rejects once the client
+// has gone away, which ends the export loop and with it the MongoDB cursor.
+async function writeChunk(res, chunk) {
+    if (res.destroyed) {
+        throw clientDisconnectedError();
+    }
+    if (res.write(chunk)) {
+        return;
+    }
+    await new Promise((resolve, reject) => {
+        const settle = error => {
+            res.off('drain', settle);
+            res.off('close', onClose);
+            return error ? reject(error) : resolve();
+        };
+        const onClose = () => settle(clientDisconnectedError());
+        res.on('drain', settle);
+        res.on('close', onClose);
+    });
+}
+
+// Labels are built from query parameters - keep them to characters that are safe in a header
+function toAttachmentFilename(name) {
+    return name.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+// Resolves what an export covers: a job's results or the stored analyses of a date range
+async function openExportSource({ jobId, fromDate, toDate, rubricId, rubricVersion, applyOverrides = true, includeExperiments = false }) {
+    const db = await getDatabase();
+    const overlay = applyOverrides ? await createReviewOverlay() : null;
+    
+    if (jobId) {
+        const job = await getAnalysisJob(jobId);
+        if (!job) {
+            return null;
+        }
+        const rubric = await getScoringRubric(job.options?.rubricId, job.options?.rubricVersion) || DEFAULT_SCORING_RUBRIC;
+        
+        return {
+            label: `job-${jobId}`,
+            job,
+            rubric,
+            failures: job.failedSessionDetails || [],
+            async *results() {
+                const cursor = db.collection(ANALYSIS_JOB_RESULTS_COLLECTION)
+                    .find({ jobId }, { projection: { _id: 0 } })
+                    .sort({ index: 1 });
+                for await (const result of cursor) {
+                    yield overlay ? await overlay(result) : result;
+                }
+            }
+        };
+    }
+    
+    const requestedRubric = rubricId ? await getScoringRubric(rubricId, rubricVersion) : null;
+    if (rubricId && !requestedRubric) {
+        throw Object.assign(new Error(`Scoring rubric "${rubricId}" not found`), { status: 400 });
+    }
+    const { startDate, endDate } = getDateRangeBounds(fromDate, toDate);
+    
+    return {
+        label: `${fromDate}_${toDate}`,
+        job: null,
+        rubric: requestedRubric || DEFAULT_SCORING_RUBRIC,
+        failures: [],
+        async *results() {
+            // Sorted so the latest analysis of each session comes first
+            const cursor = db.collection(SESSION_ANALYSES_COLLECTION)
+                .find(excludeExperimentAnalyses({ sessionDate: { $gte: startDate, $lte: endDate } }, includeExperiments), { projection: { _id: 0 } })
+                .sort({ sessionId: 1, analyzedAt: -1 });
+            let previousSessionId = null;
+            for await (const latest of cursor) {
+                if (latest.sessionId === previousSessionId) {
+                    continue;
+                }
+                previousSessionId = latest.sessionId;
+                const stored = overlay ? await overlay(latest) : latest;
+                yield {
+                    sessionId: stored.sessionId,
+                    analysis: stored.analysis,
+                    score: requestedRubric ? calculateSessionScore(stored.analysis, requestedRubric) : stored.score,
+                    timestamp: stored.analyzedAt,
+                    review: stored.review,
+                    transcriptMetrics: stored.transcriptMetrics,
+                    latencyCheck: stored.latencyCheck
+                };
+            }
+        }
+    };
+}
+
+function getSessionExportColumns(rubric) {
+    const componentKeys = [...rubric.components.map(component => component.key), 'penalties'];
+    return {
+        componentKeys,
+        header: ['sessionId', 'analyzedAt', 'totalScore', ...componentKeys, ...EXPORT_ANALYSIS_FIELDS, 'otherFields', 'reviewedFields', 'turnCount', 'meanBotLatencyMs', 'measuredLatency', 'latencyCheck']
+    };
+}
+
+function toSessionExportRow(result, componentKeys) {
+    const fields = flattenFields(result.analysis);
+    const otherFields = {};
+    Object.keys(fields).forEach(field => {
+        if (!EXPORT_ANALYSIS_FIELDS.includes(field)) {
+            otherFields[field] = fields[field];
+        }
+    });
+    
+    return [
+        result.sessionId,
+        result.timestamp,
+        result.score?.totalScore,
+        ...componentKeys.map(key => result.score?.breakdown?.[key]),
+        ...EXPORT_ANALYSIS_FIELDS.map(field => fields[field]),
+        Object.keys(otherFields).length > 0 ? otherFields : null,
+        // Fields a reviewer corrected; the row shows the corrected values
+        result.review ? result.review.overriddenFields.join(', ') : null,
+        result.transcriptMetrics?.turns.total ?? null,
+        result.transcriptMetrics?.botLatencyMs.mean ?? null,
+        result.transcriptMetrics?.measuredLatencyClass ?? null,
+        result.latencyCheck ? (result.latencyCheck.agrees ? 'agrees' : 'disagrees') : null
+    ];
+}
+
+// Summary as [section, metric, value] rows
+function buildSummaryExportRows(source, resultCount, totalScore, aggregateStats) {
+    const rows = [];
+    const overview = {
+        sessionsExported: resultCount,
+        overallScore: resultCount > 0 ? Math.round((totalScore / resultCount) * 100) / 100 : 0,
+        rubric: `${source.rubric.rubricId} v${source.rubric.version}`
+    };
+    if (source.job) {
+        Object.assign(overview, {
+            jobId: source.job.jobId,
+            status: source.job.status,
+            fromDate: source.job.fromDate,
+            toDate: source.job.toDate,
+            totalSessions: source.job.totalSessions,
+            processedSessions: source.job.processedSessions,
+            failedSessions: source.job.failedSessions
+        });
+    }
+    
+    Object.entries(overview).forEach(([metric, value]) => rows.push(['overview', metric, value]));
+    Object.entries(flattenNumericMetrics(aggregateStats)).forEach(([metric, value]) => rows.push(['aggregateStats', metric, value]));
+    return rows;
+}
+
+async function exportCsv(res, source, sheet) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${toAttachmentFilename(`analysis-${source.label}-${sheet}.csv`)}"`);
+    
+    if (sheet === 'failures') {
+        await writeChunk(res, toCsvRow(FAILURE_EXPORT_COLUMNS));
+        for (const failure of source.failures) {
+            await writeChunk(res, toCsvRow(FAILURE_EXPORT_COLUMNS.map(column => failure[column])));
+        }
+        return res.end();
+    }
+    
+    const { componentKeys, header } = getSessionExportColumns(source.rubric);
+    const accumulator = createAggregateStatsAccumulator();
+    let resultCount = 0;
+    let totalScore = 0;
+    
+    if (sheet === 'sessions') {
+        await writeChunk(res, toCsvRow(header));
+    }
+    for await (const result of source.results()) {
+        if (sheet === 'sessions') {
+            await writeChunk(res, toCsvRow(toSessionExportRow(result, componentKeys)));
+        } else {
+            accumulator.add(result);
+            resultCount++;
+            totalScore += result.score?.totalScore || 0;
+        }
+    }
+    
+    if (sheet === 'summary') {
+        await writeChunk(res, toCsvRow(['section', 'metric', 'value']));
+        for (const row of buildSummaryExportRows(source, resultCount, totalScore, accumulator.finish())) {
+            await writeChunk(res, toCsvRow(row));
+        }
+    }
+    res.end();
+}
+
+// One workbook with Sessions, Summary and Failures sheets, written as it is built
+async function exportXlsx(res, source) {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${toAttachmentFilename(`analysis-${source.label}.xlsx`)}"`);
+    
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const toCell = value => (value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value);
+    
+    const { componentKeys, header } = getSessionExportColumns(source.rubric);
+    const accumulator = createAggregateStatsAccumulator();
+    let resultCount = 0;
+    let totalScore = 0;
+    
+    const sessionsSheet = workbook.addWorksheet('Sessions');
+    sessionsSheet.addRow(header).commit();
+    for await (const result of source.results()) {
+        // The workbook writer doesn't report a closed connection itself
+        if (res.destroyed) {
+            throw clientDisconnectedError();
+        }
+        sessionsSheet.addRow(toSessionExportRow(result, componentKeys).map(toCell)).commit();
+        accumulator.add(result);
+        resultCount++;
+        totalScore += result.score?.totalScore || 0;
+    }
+    sessionsSheet.commit();
+    
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.addRow(['section', 'metric', 'value']).commit();
+    buildSummaryExportRows(source, resultCount, totalScore, accumulator.finish())
+        .forEach(row => summarySheet.addRow(row.map(toCell)).commit());
+    summarySheet.commit();
+    
+    const failuresSheet = workbook.addWorksheet('Failures');
+    failuresSheet.addRow(FAILURE_EXPORT_COLUMNS).commit();
+    source.failures.forEach(failure => failuresSheet.addRow(FAILURE_EXPORT_COLUMNS.map(column => toCell(failure[column]))).commit());
+    failuresSheet.commit();
+    
+    await workbook.commit();
+}
+
+// Export a job's results (?jobId=) or the stored analyses of a date range (?fromDate=&toDate=)
+app.get('/api/export', async (req, res) => {
+    const { jobId, fromDate, toDate, rubricId, rubricVersion } = req.query;
+    const format = req.query.format || 'csv';
+    const sheet = req.query.sheet || 'sessions';
+    
+    console.log('📦 Export requested:', JSON.stringify(req.query));
+    
+    if (!jobId && !(fromDate && toDate)) {
+        return res.status(400).json({ error: 'Either jobId or both fromDate and toDate are required' });
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (format === 'csv' && !CSV_EXPORT_SHEETS.includes(sheet)) {
+        return res.status(400).json({ error: `sheet must be one of ${CSV_EXPORT_SHEETS.join(', ')}` });
+    }
+    
+    try {
+        const source = await openExportSource({ jobId, fromDate, toDate, rubricId, rubricVersion, applyOverrides: shouldApplyOverrides(req.query.overrides), includeExperiments: shouldIncludeExperiments(req.query.includeExperiments) });
+        if (!source) {
+            return res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        
+        if (format === 'xlsx') {
+            await exportXlsx(res, source);
+        } else {
+            await exportCsv(res, source, sheet);
+        }
+        console.log(`✅ Export finished (${format}, ${source.label})`);
+    } catch (error) {
+        if (error.clientDisconnected) {
+            return console.log('⚠️ Export stopped - the client disconnected');
+        }
+        console.error('❌ Export failed:', error.message);
+        if (res.headersSent) {
+            // Too late for a JSON error - cut the download short instead
+            return res.destroy(error);
+        }
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Standalone HTML/PDF report for a run or date range
+const REPORT_FORMATS = ['html', 'pdf'];
+const DEFAULT_REPORT_LOWEST_SESSIONS = 10;
+const MAX_REPORT_LOWEST_SESSIONS = 100;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Why a session scored low: the components that lost the most points, then any penalties
+function explainSessionScore(result, rubric) {
+    const breakdown = result.score?.breakdown || {};
+    const reasons = rubric.components
+        .map(component => {
+            const lost = component.weight - (breakdown[component.key] || 0);
+            const fields = component.fields || [component.field];
+            const values = fields
+                .map(field => getFieldValue(result.analysis || {}, field))
+                .filter(value => value !== undefined && value !== null);
+            return { key: component.key, lost, value: values.join(', ') || 'missing' };
+        })
+        .filter(reason => reason.lost > 0.005)
+        .sort((a, b) => b.lost - a.lost)
+        .slice(0, 3)
+        .map(reason => `${reason.key}: ${reason.value} (-${reason.lost.toFixed(1)})`);
+    
+    if (breakdown.penalties) {
+        reasons.push(`penalties: ${breakdown.penalties}`);
+    }
+    if (result.analysis?.human_escalation?.is_escalated === 'yes' && result.analysis.human_escalation.reason) {
+        reasons.push(`escalation reason: ${result.analysis.human_escalation.reason}`);
+    }
+    return reasons;
+}
+
+// Single pass over the results, keeping only the lowest-scoring sessions in memory
+async function collectReportData(source, lowestCount) {
+    const accumulator = createAggregateStatsAccumulator();
+    const breakdownTotals = {};
+    const lowestSessions = [];
+    let resultCount = 0;
+    let totalScore = 0;
+    
+    for await (const result of source.results()) {
+        accumulator.add(result);
+        resultCount++;
+        totalScore += result.score?.totalScore || 0;
+        Object.entries(result.score?.breakdown || {}).forEach(([key, value]) => {
+            breakdownTotals[key] = (breakdownTotals[key] || 0) + value;
+        });
+        
+        if (lowestCount === 0) {
+            continue;
+        }
+        const candidate = { sessionId: result.sessionId, totalScore: result.score?.totalScore || 0, result };
+        if (lowestSessions.length < lowestCount || candidate.totalScore < lowestSessions[lowestSessions.length - 1].totalScore) {
+            lowestSessions.push(candidate);
+            lowestSessions.sort((a, b) => a.totalScore - b.totalScore);
+            lowestSessions.length = Math.min(lowestSessions.length, lowestCount);
+        }
+    }
+    
+    const averageBreakdown = {};
+    Object.keys(breakdownTotals).forEach(key => {
+        averageBreakdown[key] = Math.round((breakdownTotals[key] / resultCount) * 100) / 100;
+    });
+    
+    // Failures are only recorded by analysis jobs - a date range has none to summarize
+    const failureSummary = source.job ? {} : null;
+    source.failures.forEach(failure => {
+        const errorClass = failure.errorClass || 'unknown_error';
+        failureSummary[errorClass] = (failureSummary[errorClass] || 0) + 1;
+    });
+    
+    return {
+        resultCount,
+        overallScore: resultCount > 0 ? Math.round((totalScore / resultCount) * 100) / 100 : 0,
+        aggregateStats: accumulator.finish(),
+        averageBreakdown,
+        lowestSessions: lowestSessions.map(({ sessionId, totalScore: score, result }) => ({
+            sessionId,
+            totalScore: score,
+            reasons: explainSessionScore(result, source.rubric)
+        })),
+        failureSummary
+    };
+}
+
+// Horizontal bar chart in plain HTML/CSS so the report renders without scripts or network access
+function renderBarChart(title, distribution, { max = 100, unit = '%' } = {}) {
+    const entries = Object.entries(distribution || {});
+    const rows = entries.length === 0
+        ? '<p class="empty">No data</p>'
+        : entries.map(([label, value]) => {
+            const width = max > 0 ? Math.max(0, Math.min(100, (value / max) * 100)) : 0;
+            return `<div class="bar-row"><span class="bar-label">${escapeHtml(label)}</span>` +
+                `<span class="bar-track"><span class="bar" style="width:${width.toFixed(1)}%"></span></span>` +
+                `<span class="bar-value">${escapeHtml(value)}${unit}</span></div>`;
+        }).join('');
+    return `<div class="chart"><h3>${escapeHtml(title)}</h3>${rows}</div>`;
+}
+
+function renderReportHtml(source, data) {
+    const stats = data.aggregateStats;
+    const job = source.job;
+    const period = job ? `${job.fromDate} to ${job.toDate}` : source.label.replace('_', ' to ');
+    
+    const distributionCharts = [
+        renderBarChart('User sentiment', stats.average_user_sentiment_distribution),
+        renderBarChart('Bot tone', stats.average_bot_tone_distribution),
+        renderBarChart('Response accuracy', stats.average_response_accuracy),
+        renderBarChart('Latency', stats.performance_distribution),
+        renderBarChart('Measured latency', stats.measured_latency_distribution),
+        renderBarChart('Issue resolution', stats.average_issue_resolution_rate),
+        renderBarChart('Human escalation', stats.average_human_escalation_rate),
+        renderBarChart('Chat completion', stats.average_chat_completion_rate),
+        renderBarChart('Overall response quality', stats.overall_response_quality_distribution),
+        ...Object.entries(stats.response_components_distribution || {})
+            .map(([component, distribution]) => renderBarChart(`Response ${component.replace(/_/g, ' ')}`, distribution))
+    ].join('');
+    
+    const breakdownRows = source.rubric.components.map(component => {
+        const earned = data.averageBreakdown[component.key] || 0;
+        const share = component.weight > 0 ? Math.round((earned / component.weight) * 100) : 0;
+        return `<tr><td>${escapeHtml(component.key)}</td><td>${component.weight}</td><td>${earned}</td>` +
+            `<td><span class="bar-track"><span class="bar" style="width:${Math.min(100, share)}%"></span></span> ${share}%</td></tr>`;
+    }).join('') +
+        `<tr><td>penalties</td><td>-</td><td>${data.averageBreakdown.penalties || 0}</td><td></td></tr>`;
+    
+    const lowestRows = data.lowestSessions.map(session =>
+        `<tr><td><code>${escapeHtml(session.sessionId)}</code></td><td>${session.totalScore}</td>` +
+        `<td><ul>${session.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul></td></tr>`
+    ).join('');
+    
+    const failureRows = Object.entries(data.failureSummary || {})
+        .map(([errorClass, count]) => `<tr><td>${escapeHtml(errorClass)}</td><td>${count}</td></tr>`)
+        .join('');
+    const failuresSection = !data.failureSummary
+        ? '<p class="empty">Not tracked for date ranges - failures are only recorded per analysis job</p>'
+        : failureRows
+            ? `<table><thead><tr><th>Error class</th><th>Sessions</th></tr></thead><tbody>${failureRows}</tbody></table>`
+            : '<p class="empty">No failed sessions</p>';
+    const failedSessions = job ? job.failedSessions || 0 : '-';
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation evaluation report - ${escapeHtml(period)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 32px auto; max-width: 1000px; }
+h1 { margin-bottom: 4px; } .meta { color: #666; margin-top: 0; }
+.headline { display: flex; gap: 16px; margin: 24px 0; }
+.tile { flex: 1; border: 1px solid #ddd; border-radius: 6px; padding: 12px 16px; }
+.tile .value { font-size: 28px; font-weight: 600; } .tile .label { color: #666; font-size: 13px; }
+.charts { display: grid; grid-template-columns: repeat(2, 1fr); gap: 16px; }
+.chart { border: 1px solid #eee; border-radius: 6px; padding: 8px 12px; page-break-inside: avoid; }
+.chart h3 { font-size: 14px; margin: 4px 0 8px; }
+.bar-row { display: flex; align-items: center; font-size: 12px; margin: 3px 0; }
+.bar-label { width: 130px; } .bar-value { width: 50px; text-align: right; }
+.bar-track { display: inline-block; flex: 1; background: #f0f0f0; height: 10px; border-radius: 3px; min-width: 120px; }
+.bar { display: block; background: #4a7bd0; height: 100%; border-radius: 3px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; vertical-align: top; }
+td ul { margin: 0; padding-left: 16px; } .empty { color: #999; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Conversation evaluation report</h1>
+<p class="meta">${escapeHtml(period)}${job ? ` &middot; job ${escapeHtml(job.jobId)} (${escapeHtml(job.status)})` : ''} &middot; rubric ${escapeHtml(source.rubric.rubricId)} v${escapeHtml(source.rubric.version)} &middot; generated ${new Date().toISOString()}</p>
+<div class="headline">
+<div class="tile"><div class="value">${data.overallScore}</div><div class="label">Overall score</div></div>
+<div class="tile"><div class="value">${data.resultCount}</div><div class="label">Sessions evaluated</div></div>
+<div class="tile"><div class="value">${failedSessions}</div><div class="label">Failed sessions</div></div>
+<div class="tile"><div class="value">${stats.average_user_experience_level}</div><div class="label">Avg. user experience (1-5)</div></div>
+</div>
+<h2>Distributions</h2>
+<div class="charts">${distributionCharts}</div>
+<h2>Score breakdown</h2>
+<table><thead><tr><th>Component</th><th>Weight</th><th>Avg. points</th><th>Share of weight earned</th></tr></thead><tbody>${breakdownRows}</tbody></table>
+<h2>Lowest-scoring sessions</h2>
+${lowestRows ? `<table><thead><tr><th>Session</th><th>Score</th><th>Reasons</th></tr></thead><tbody>${lowestRows}</tbody></table>` : '<p class="empty">No sessions</p>'}
+<h2>Failures</h2>
+${failuresSection}
+</body>
+</html>
+`;
+}
+
+// PDF rendering needs the optional puppeteer dependency; without it only HTML is available
+async function renderPdf(html) {
+    let puppeteer;
+    try {
+        puppeteer = require('puppeteer');
+    } catch (error) {
+        throw Object.assign(new Error('PDF rendering is unavailable - install the optional "puppeteer" dependency'), { status: 501 });
+    }
+    
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+    try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'load' });
+        return await page.pdf({ format: 'A4', printBackground: true, margin: { top: '16mm', bottom: '16mm', left: '12mm', right: '12mm' } });
+    } finally {
+        await browser.close();
+    }
+}
+
+// Report for a job (?jobId=) or the stored analyses of a date range (?fromDate=&toDate=)
+app.get('/api/report', async (req, res) => {
+    const { jobId, fromDate, toDate, rubricId, rubricVersion } = req.query;
+    const format = req.query.format || 'html';
+    const lowest = req.query.lowest !== undefined ? parseInt(req.query.lowest, 10) : DEFAULT_REPORT_LOWEST_SESSIONS;
+    
+    console.log('📄 Report requested:', JSON.stringify(req.query));
+    
+    if (!jobId && !(fromDate && toDate)) {
+        return res.status(400).json({ error: 'Either jobId or both fromDate and toDate are required' });
+    }
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${REPORT_FORMATS.join(', ')}` });
+    }
+    if (!Number.isInteger(lowest) || lowest < 0 || lowest > MAX_REPORT_LOWEST_SESSIONS) {
+        return res.status(400).json({ error: `lowest must be an integer between 0 and ${MAX_REPORT_LOWEST_SESSIONS}` });
+    }
+    
+    try {
+        const source = await openExportSource({ jobId, fromDate, toDate, rubricId, rubricVersion, applyOverrides: shouldApplyOverrides(req.query.overrides), includeExperiments: shouldIncludeExperiments(req.query.includeExperiments) });
+        if (!source) {
+            return res.status(404).json({ success: false, error: 'Analysis job not found' });
+        }
+        
+        const data = await collectReportData(source, lowest);
+        const html = renderReportHtml(source, data);
+        
+        if (format === 'pdf') {
+            const pdf = await renderPdf(html);
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${toAttachmentFilename(`report-${source.label}.pdf`)}"`);
+            res.end(pdf);
+        } else {
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.send(html);
+        }
+        console.log(`✅ Report generated (${format}, ${source.label})`);
+    } catch (error) {
+        console.error('❌ Report generation failed:', error.message);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Alert rules - evaluated when a run finishes, notified through signed webhooks
+const ALERT_RULES_COLLECTION = 'alert_rules';
+const ALERT_EVENTS_COLLECTION = 'alert_events';
+const ALERT_RULE_TYPES = ['threshold', 'change'];
+const ALERT_OPERATORS = {
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold
+};
+const DEFAULT_ALERT_COOLDOWN_MINUTES = parseInt(process.env.ALERT_COOLDOWN_MINUTES, 10) || 60;
+const ALERT_WEBHOOK_TIMEOUT_MS = 10000;
+const ALERT_WEBHOOK_ATTEMPTS = 3;
+// Longer than a full delivery with every retry; a pending alert older than this was abandoned
+const ALERT_PENDING_LEASE_MS = 5 * 60000;
+
+function getDefaultWebhookUrls() {
+    return (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// Rule document as returned by the API - the signing secret never leaves the server
+function toPublicAlertRule({ _id, secret, ...rule }) {
+    return { ...rule, hasSecret: !!secret };
+}
+
+// Validates and normalizes a rule body. Returns { rule, errors }.
+function resolveAlertRule(body, current = {}) {
+    const merged = { ...current, ...body };
+    const errors = [];
+    const rule = {
+        name: merged.name || merged.metric,
+        type: merged.type || 'threshold',
+        metric: merged.metric,
+        enabled: merged.enabled !== false,
+        webhookUrls: merged.webhookUrls || [],
+        cooldownMinutes: merged.cooldownMinutes !== undefined ? Number(merged.cooldownMinutes) : DEFAULT_ALERT_COOLDOWN_MINUTES,
+        secret: merged.secret || null
+    };
+    
+    if (!ALERT_RULE_TYPES.includes(rule.type)) {
+        errors.push(`type must be one of ${ALERT_RULE_TYPES.join(', ')}`);
+    }
+    if (typeof rule.metric !== 'string' || !rule.metric) {
+        errors.push('metric is required, e.g. "overallScore" or "average_human_escalation_rate.yes"');
+    }
+    if (!Array.isArray(rule.webhookUrls) || rule.webhookUrls.some(url => !/^https?:\/\//.test(url))) {
+        errors.push('webhookUrls must be an array of http(s) URLs');
+    }
+    if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+        errors.push('cooldownMinutes must be a non-negative number');
+    }
+    
+    if (rule.type === 'threshold') {
+        rule.operator = merged.operator;
+        rule.threshold = Number(merged.threshold);
+        if (!ALERT_OPERATORS[rule.operator]) {
+            errors.push(`operator must be one of ${Object.keys(ALERT_OPERATORS).join(' ')}`);
+        }
+        if (merged.threshold === undefined || merged.threshold === null || !Number.isFinite(rule.threshold)) {
+            errors.push('threshold must be a number');
+        }
+    } else if (rule.type === 'change') {
+        // Compares the last complete period with the one before it
+        rule.interval = merged.interval || 'week';
+        rule.maxDrop = Number(merged.maxDrop);
+        if (!TREND_INTERVALS.includes(rule.interval)) {
+            errors.push(`interval must be one of ${TREND_INTERVALS.join(', ')}`);
+        }
+        if (!Number.isFinite(rule.maxDrop) || rule.maxDrop <= 0) {
+            errors.push('maxDrop must be a positive number of points');
+        }
+    }
+    
+    return { rule, errors };
+}
+
+// Flat metric map a rule's `metric` is looked up in: overallScore, failed-session figures and every aggregateStats value
+function buildAlertMetrics(analysisResults, job = null) {
+    const metrics = flattenNumericMetrics({
+        overallScore: calculateOverallScore(analysisResults),
+        sessionCount: analysisResults.length,
+        ...calculateAggregateStats(analysisResults)
+    });
+    if (job) {
+        metrics.totalSessions = job.totalSessions;
+        metrics.failedSessions = job.failedSessions;
+        metrics.failedSessionRate = job.totalSessions > 0 ? Math.round((job.failedSessions / job.totalSessions) * 10000) / 100 : 0;
+    }
+    return metrics;
+}
+
+function signWebhookPayload(body, timestamp, secret) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// POSTs the payload to every URL, retrying transient failures. Resolves to one delivery record per URL.
+async function deliverAlertWebhooks(urls, payload, secret) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Alert-Id': payload.alertId,
+        'X-Alert-Timestamp': timestamp
+    };
+    if (secret) {
+        headers['X-Alert-Signature'] = `sha256=${signWebhookPayload(body, timestamp, secret)}`;
+    } else {
+        console.log('⚠️ No alert webhook secret configured - sending unsigned payload');
+    }
+    
+    return Promise.all(urls.map(async url => {
+        let lastError = null;
+        let attempts = 0;
+        for (let attempt = 1; attempt <= ALERT_WEBHOOK_ATTEMPTS; attempt++) {
+            attempts = attempt;
+            try {
+                const response = await axios.post(url, body, { headers, timeout: ALERT_WEBHOOK_TIMEOUT_MS });
+                console.log(`📣 Alert ${payload.alertId} delivered to ${url} (${response.status})`);
+                return { url, delivered: true, statusCode: response.status, attempts: attempt };
+            } catch (error) {
+                lastError = error;
+                const { retryable } = classifyAnalysisError(error);
+                console.log(`❌ Alert webhook ${url} failed (attempt ${attempt}): ${error.message}`);
+                if (!retryable || attempt === ALERT_WEBHOOK_ATTEMPTS) {
+                    break;
+                }
+                await sleep(1000 * 2 ** (attempt - 1));
+            }
+        }
+        return { url, delivered: false, statusCode: lastError.response?.status || null, error: lastError.message, attempts };
+    }));
+}
+
+// Inserts the pending event, which takes its dedup key. A pending event past ALERT_PENDING_LEASE_MS was
+// left by a process that died mid-delivery, so its key is released and taken over. Resolves to false
+// when the key is held.
+async function claimAlertDedupKey(events, event) {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        try {
+            await events.insertOne(event);
+            return true;
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+        const { modifiedCount } = await events.updateOne(
+            {
+                ruleId: event.ruleId,
+                dedupKey: event.dedupKey,
+                dedupClaimed: true,
+                status: 'pending',
+                firedAt: { $lt: new Date(Date.now() - ALERT_PENDING_LEASE_MS) }
+            },
+            { $set: { status: 'abandoned', dedupClaimed: false } }
+        );
+        if (modifiedCount === 0) {
+            return false;
+        }
+    }
+    return false;
+}
+
+// Fires a rule once per dedup key and at most once per cooldown. Every firing is recorded, but only a
+// delivered one keeps its dedup key: suppressed and failed events release it, so the next evaluation
+// of the same key tries again. The cooldown starts once a notification has actually gone out.
+async function fireAlert(rule, { dedupKey, value, previousValue = null, source, message }) {
+    const db = await getDatabase();
+    const events = db.collection(ALERT_EVENTS_COLLECTION);
+    
+    const now = new Date();
+    const event = {
+        alertId: crypto.randomUUID(),
+        ruleId: rule.ruleId,
+        dedupKey,
+        dedupClaimed: true,
+        status: 'pending',
+        value,
+        previousValue,
+        source,
+        message,
+        firedAt: now,
+        deliveries: []
+    };
+    
+    if (!(await claimAlertDedupKey(events, event))) {
+        console.log(`🔕 Alert ${rule.ruleId} already fired for ${dedupKey}`);
+        return null;
+    }
+    
+    const { lastFiredAt } = await db.collection(ALERT_RULES_COLLECTION).findOne(
+        { ruleId: rule.ruleId },
+        { projection: { _id: 0, lastFiredAt: 1 } }
+    ) || {};
+    
+    if (lastFiredAt && now - new Date(lastFiredAt) < rule.cooldownMinutes * 60000) {
+        console.log(`🔕 Alert ${rule.ruleId} suppressed - in cooldown since ${new Date(lastFiredAt).toISOString()}`);
+        event.status = 'suppressed';
+    } else {
+        console.log(`🚨 Alert fired: ${message}`);
+        const urls = rule.webhookUrls.length > 0 ? rule.webhookUrls : getDefaultWebhookUrls();
+        if (urls.length === 0) {
+            console.log(`⚠️ Alert rule ${rule.ruleId} has no webhook URLs - recorded only`);
+        }
+        event.deliveries = await deliverAlertWebhooks(urls, {
+            alertId: event.alertId,
+            event: 'alert.fired',
+            rule: toPublicAlertRule(rule),
+            value,
+            previousValue,
+            source,
+            message,
+            firedAt: now.toISOString()
+        }, rule.secret || process.env.ALERT_WEBHOOK_SECRET);
+        
+        if (urls.length === 0 || event.deliveries.some(delivery => delivery.delivered)) {
+            event.status = 'fired';
+            await db.collection(ALERT_RULES_COLLECTION).updateOne({ ruleId: rule.ruleId }, { $max: { lastFiredAt: now } });
+        } else {
+            console.log(`⚠️ Alert ${rule.ruleId} was not delivered - ${dedupKey} stays open for the next evaluation`);
+            event.status = 'failed';
+        }
+    }
+    
+    event.dedupClaimed = event.status === 'fired';
+    await events.updateOne({ _id: event._id }, { $set: { status: event.status, deliveries: event.deliveries, dedupClaimed: event.dedupClaimed } });
+    return event;
+}
+
+async function evaluateThresholdRule(rule, metrics, source, dedupKey) {
+    const value = metrics[rule.metric];
+    if (value === undefined || !ALERT_OPERATORS[rule.operator](value, rule.threshold)) {
+        return null;
+    }
+    return fireAlert(rule, {
+        dedupKey,
+        value,
+        source,
+        message: `${rule.name}: ${rule.metric} is ${value} (${rule.operator} ${rule.threshold})`
+    });
+}
+
+// Last complete period against the one before it, from stored analyses
+async function evaluateChangeRule(rule, now = new Date()) {
+    const currentStart = getBucketStart(now, rule.interval);
+    const previousStart = getBucketStart(new Date(currentStart.getTime() - 1), rule.interval);
+    const baselineStart = getBucketStart(new Date(previousStart.getTime() - 1), rule.interval);
+    const dayBefore = date => new Date(date.getTime() - 86400000).toISOString().slice(0, 10);
+    
+    const storedAnalyses = await getStoredAnalysesInRange(baselineStart.toISOString().slice(0, 10), dayBefore(currentStart));
+    const inPeriod = (start, end) => storedAnalyses.filter(stored => {
+        const date = new Date(stored.sessionDate);
+        return date >= start && date < end;
+    });
+    const baselineResults = inPeriod(baselineStart, previousStart);
+    const periodResults = inPeriod(previousStart, currentStart);
+    if (baselineResults.length === 0 || periodResults.length === 0) {
+        return null;
+    }
+    
+    const previousValue = buildAlertMetrics(baselineResults)[rule.metric];
+    const value = buildAlertMetrics(periodResults)[rule.metric];
+    if (value === undefined || previousValue === undefined || previousValue - value <= rule.maxDrop) {
+        return null;
+    }
+    
+    const period = previousStart.toISOString().slice(0, 10);
+    return fireAlert(rule, {
+        dedupKey: `${rule.interval}:${period}`,
+        value,
+        previousValue,
+        source: { interval: rule.interval, period, previousPeriod: baselineStart.toISOString().slice(0, 10) },
+        message: `${rule.name}: ${rule.metric} dropped ${roundDelta(previousValue, value)} points (${previousValue} → ${value}) ${rule.interval} over ${rule.interval}`
+    });
+}
+
+// Run after a job finishes; change rules are checked too since the job may have added data
+async function evaluateAlertRules(job = null, analysisResults = []) {
+    const db = await getDatabase();
+    const rules = await db.collection(ALERT_RULES_COLLECTION).find({ enabled: true, deleted: { $ne: true } }).toArray();
+    const fired = [];
+    
+    for (const rule of rules) {
+        try {
+            let event = null;
+            if (rule.type === 'threshold' && job) {
+                event = await evaluateThresholdRule(rule, buildAlertMetrics(analysisResults, job), { jobId: job.jobId, fromDate: job.fromDate, toDate: job.toDate }, `job:${job.jobId}`);
+            } else if (rule.type === 'change') {
+                event = await evaluateChangeRule(rule);
+            }
+            if (event) {
+                fired.push(event);
+            }
+        } catch (error) {
+            console.error(`❌ Alert rule ${rule.ruleId} evaluation failed:`, error.message);
+        }
+    }
+    return fired;
+}
+
+app.get('/api/alert-rules', async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const rules = await db.collection(ALERT_RULES_COLLECTION).find({ deleted: { $ne: true } }).sort({ createdAt: 1 }).toArray();
+        res.json({ success: true, rules: rules.map(toPublicAlertRule) });
+    } catch (error) {
+        console.error('❌ Alert rule listing failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/alert-rules', requireRole('admin'), async (req, res) => {
+    const { rule, errors } = resolveAlertRule(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid alert rule', details: errors });
+    }
+    
+    try {
+        const db = await getDatabase();
+        const now = new Date();
+        const created = { ruleId: crypto.randomUUID(), ...rule, lastFiredAt: null, createdAt: now, updatedAt: now };
+        await db.collection(ALERT_RULES_COLLECTION).insertOne(created);
+        console.log(`🚨 Created alert rule ${created.ruleId} (${created.name})`);
+        
+        res.status(201).json({ success: true, rule: toPublicAlertRule(created) });
+    } catch (error) {
+        console.error('❌ Alert rule creation failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/alert-rules/:ruleId', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const collection = db.collection(ALERT_RULES_COLLECTION);
+        const current = await collection.findOne({ ruleId: req.params.ruleId, deleted: { $ne: true } });
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+        
+        const { rule, errors } = resolveAlertRule(req.body, current);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid alert rule', details: errors });
+        }
+        
+        const updated = await collection.findOneAndUpdate(
+            { ruleId: current.ruleId },
+            { $set: { ...rule, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        res.json({ success: true, rule: toPublicAlertRule(updated) });
+    } catch (error) {
+        console.error('❌ Alert rule update failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/alert-rules/:ruleId', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const result = await db.collection(ALERT_RULES_COLLECTION).updateOne(
+            { ruleId: req.params.ruleId, deleted: { $ne: true } },
+            { $set: { deleted: true, enabled: false, updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+        res.json({ success: true, ruleId: req.params.ruleId });
+    } catch (error) {
+        console.error('❌ Alert rule deletion failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Sends a test payload to the rule's webhooks, ignoring dedup and cooldown
+app.post('/api/alert-rules/:ruleId/test', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const rule = await db.collection(ALERT_RULES_COLLECTION).findOne({ ruleId: req.params.ruleId, deleted: { $ne: true } });
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+        
+        const urls = rule.webhookUrls.length > 0 ? rule.webhookUrls : getDefaultWebhookUrls();
+        if (urls.length === 0) {
+            return res.status(400).json({ success: false, error: 'No webhook URLs configured for this rule' });
+        }
+        
+        const deliveries = await deliverAlertWebhooks(urls, {
+            alertId: crypto.randomUUID(),
+            event: 'alert.test',
+            rule: toPublicAlertRule(rule),
+            message: `Test notification for alert rule "${rule.name}"`,
+            firedAt: new Date().toISOString()
+        }, rule.secret || process.env.ALERT_WEBHOOK_SECRET);
+        
+        res.json({ success: deliveries.every(delivery => delivery.delivered), deliveries });
+    } catch (error) {
+        console.error('❌ Alert rule test failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Checks the change rules now, or the threshold rules against a finished job when jobId is given
+app.post('/api/alert-rules/evaluate', requireRole('analyst'), async (req, res) => {
+    try {
+        let job = null;
+        let analysisResults = [];
+        if (req.body.jobId) {
+            job = await getAnalysisJob(req.body.jobId);
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'Analysis job not found' });
+            }
+            analysisResults = await getAnalysisJobResults(job.jobId);
+        }
+        
+        const events = await evaluateAlertRules(job, analysisResults);
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('❌ Alert evaluation failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Alert history, newest first
+app.get('/api/alerts', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    
+    try {
+        const db = await getDatabase();
+        const query = req.query.ruleId ? { ruleId: req.query.ruleId } : {};
+        const events = await db.collection(ALERT_EVENTS_COLLECTION)
+            .find(query, { projection: { _id: 0 } })
+            .sort({ firedAt: -1 })
+            .limit(limit)
+            .toArray();
+        res.json({ success: true, events });
+    } catch (error) {
+        console.error('❌ Alert history lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Scheduled evaluations - cron schedules stored in MongoDB, each fire time claimed by exactly one instance
+const SCHEDULES_COLLECTION = 'analysis_schedules';
+const SCHEDULE_RUNS_COLLECTION = 'analysis_schedule_runs';
+const SCHEDULER_POLL_MS = parseInt(process.env.SCHEDULER_POLL_MS, 10) || 30000;
+const SCHEDULER_INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+const SCHEDULER_INDEX_RETRY_MS = 60000;
+// Fields of an analyze-conversations body that a schedule fills in itself
+const SCHEDULE_MANAGED_FIELDS = ['fromDate', 'toDate'];
+
+// Date range relative to the fire time, as YYYY-MM-DD in the schedule's time zone
+const SCHEDULE_DATE_RANGES = {
+    yesterday: today => ({ fromDate: shiftDate(today, -1), toDate: shiftDate(today, -1) }),
+    today: today => ({ fromDate: today, toDate: today }),
+    last_7_days: today => ({ fromDate: shiftDate(today, -7), toDate: shiftDate(today, -1) }),
+    last_30_days: today => ({ fromDate: shiftDate(today, -30), toDate: shiftDate(today, -1) }),
+    previous_week: today => {
+        const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+        return { fromDate: shiftDate(today, -weekday - 7), toDate: shiftDate(today, -weekday - 1) };
+    },
+    previous_month: today => {
+        const firstOfMonth = `${today.slice(0, 7)}-01`;
+        const lastOfPrevious = shiftDate(firstOfMonth, -1);
+        return { fromDate: `${lastOfPrevious.slice(0, 7)}-01`, toDate: lastOfPrevious };
+    }
+};
+
+function shiftDate(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function getLocalDate(date, timezone) {
+    // en-CA formats as YYYY-MM-DD
+    return date.toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+function getNextScheduleRun(cron, timezone, after = new Date()) {
+    return CronExpressionParser.parse(cron, { currentDate: after, tz: timezone }).next().toDate();
+}
+
+// Validates a schedule body, merged over the current schedule on update. Returns { schedule, errors }.
+async function resolveSchedule(body, current = {}) {
+    const merged = { ...current, ...body };
+    const errors = [];
+    const schedule = {
+        name: merged.name || merged.cron,
+        cron: merged.cron,
+        timezone: merged.timezone || 'UTC',
+        dateRange: merged.dateRange || 'yesterday',
+        request: merged.request || {},
+        enabled: merged.enabled !== false
+    };
+    
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (error) {
+        errors.push(`Unknown timezone "${schedule.timezone}"`);
+    }
+    if (typeof schedule.cron !== 'string' || !schedule.cron.trim()) {
+        errors.push('cron is required, e.g. "0 2 * * *" for every day at 02:00');
+    } else if (errors.length === 0) {
+        try {
+            getNextScheduleRun(schedule.cron, schedule.timezone);
+        } catch (error) {
+            errors.push(`Invalid cron expression: ${error.message}`);
+        }
+    }
+    if (!SCHEDULE_DATE_RANGES[schedule.dateRange]) {
+        errors.push(`dateRange must be one of ${Object.keys(SCHEDULE_DATE_RANGES).join(', ')}`);
+    }
+    
+    // The stored request is checked the same way analyze-conversations checks its body
+    if (!schedule.request || typeof schedule.request !== 'object' || Array.isArray(schedule.request)) {
+        errors.push('request must be an object with analyze-conversations options');
+    } else {
+        SCHEDULE_MANAGED_FIELDS.forEach(field => {
+            if (schedule.request[field] !== undefined) {
+                errors.push(`request.${field} is set by the schedule's dateRange`);
+            }
+        });
+        try {
+            const options = resolveRunOptions(schedule.request);
+            resolveSessionFilter(schedule.request);
+            if (!await getScoringRubric(options.rubricId, options.rubricVersion)) {
+                errors.push(`Scoring rubric "${options.rubricId}" not found`);
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    
+    if (errors.length === 0) {
+        schedule.nextRunAt = schedule.enabled ? getNextScheduleRun(schedule.cron, schedule.timezone) : null;
+    }
+    return { schedule, errors };
+}
+
+// Starts the job for one fire time. The run record's unique (scheduleId, scheduledFor) index is the
+// final guard against two instances starting the same run.
+// Scheduled runs count against the daily quota of whoever created the schedule. An API key's current
+// quota applies; a JWT quota can't be re-read without a token, so the one from creation time does.
+// Schedules with no recorded creator run without a quota.
+function getScheduleAuth(schedule) {
+    const creator = schedule.createdBy;
+    if (!creator) {
+        return null;
+    }
+    return [...API_KEYS.values()].find(apiKey => apiKey.principalId === creator.principalId) || creator;
+}
+
+async function runSchedule(schedule, scheduledFor, manual = false) {
+    const db = await getDatabase();
+    const runs = db.collection(SCHEDULE_RUNS_COLLECTION);
+    const dateRange = SCHEDULE_DATE_RANGES[schedule.dateRange](getLocalDate(scheduledFor, schedule.timezone));
+    const run = {
+        runId: crypto.randomUUID(),
+        scheduleId: schedule.scheduleId,
+        scheduledFor,
+        manual,
+        instanceId: SCHEDULER_INSTANCE_ID,
+        dateRange,
+        jobId: null,
+        status: 'starting',
+        error: null,
+        startedAt: new Date()
+    };
+    
+    try {
+        await runs.insertOne(run);
+    } catch (error) {
+        if (error.code === 11000) {
+            console.log(`⏭️ Schedule ${schedule.scheduleId} run for ${scheduledFor.toISOString()} already started elsewhere`);
+            return null;
+        }
+        throw error;
+    }
+    
+    console.log(`⏰ Running schedule ${schedule.scheduleId} (${schedule.name}) for ${dateRange.fromDate} → ${dateRange.toDate}`);
+    try {
+        const job = await startAnalysisJob(dateRange.fromDate, dateRange.toDate, schedule.request, {
+            type: 'schedule',
+            scheduleId: schedule.scheduleId,
+            runId: run.runId
+        }, getScheduleAuth(schedule));
+        Object.assign(run, { jobId: job.jobId, status: 'started' });
+    } catch (error) {
+        console.error(`❌ Schedule ${schedule.scheduleId} failed to start:`, error.message);
+        Object.assign(run, { status: 'failed', error: error.message });
+    }
+    
+    await runs.updateOne({ runId: run.runId }, { $set: { jobId: run.jobId, status: run.status, error: run.error } });
+    await db.collection(SCHEDULES_COLLECTION).updateOne(
+        { scheduleId: schedule.scheduleId },
+        { $set: { lastRunAt: run.startedAt, lastRunId: run.runId, lastRunStatus: run.status } }
+    );
+    return run;
+}
+
+// Claims due schedules by moving nextRunAt forward with a compare-and-set, so each fire time
+// is taken by one instance only. Runs missed while no instance was up fire once, not once per miss.
+async function runDueSchedules() {
+    const db = await getDatabase();
+    const collection = db.collection(SCHEDULES_COLLECTION);
+    const now = new Date();
+    const dueSchedules = await collection.find({ enabled: true, deleted: { $ne: true }, nextRunAt: { $lte: now } }).toArray();
+    
+    for (const schedule of dueSchedules) {
+        try {
+            const claimed = await collection.findOneAndUpdate(
+                { scheduleId: schedule.scheduleId, nextRunAt: schedule.nextRunAt },
+                { $set: { nextRunAt: getNextScheduleRun(schedule.cron, schedule.timezone, now), lockedBy: SCHEDULER_INSTANCE_ID, lockedAt: now } },
+                { returnDocument: 'after' }
+            );
+            if (!claimed) {
+                continue;
+            }
+            await runSchedule(schedule, schedule.nextRunAt);
+        } catch (error) {
+            console.error(`❌ Schedule ${schedule.scheduleId} tick failed:`, error.message);
+        }
+    }
+}
+
+// Only the unique { scheduleId, scheduledFor } run index stops two instances running the same slot,
+// so the scheduler stays off until ensureIndexes has created that one
+async function startSchedulerWhenIndexed(failedCollections) {
+    while (failedCollections.includes(SCHEDULE_RUNS_COLLECTION)) {
+        console.warn(`⚠️ Scheduler not started - retrying index creation in ${SCHEDULER_INDEX_RETRY_MS / 1000}s`);
+        await sleep(SCHEDULER_INDEX_RETRY_MS);
+        failedCollections = await ensureIndexes();
+    }
+    startScheduler();
+}
+
+function startScheduler() {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('⏰ Scheduler disabled on this instance');
+        return;
+    }
+    console.log(`⏰ Scheduler started (instance ${SCHEDULER_INSTANCE_ID}, polling every ${SCHEDULER_POLL_MS / 1000}s)`);
+    
+    let ticking = false;
+    const tick = async () => {
+        if (ticking) {
+            return;
+        }
+        ticking = true;
+        try {
+            await runDueSchedules();
+        } catch (error) {
+            console.error('❌ Scheduler tick failed:', error.message);
+        } finally {
+            ticking = false;
+        }
+    };
+    setInterval(tick, SCHEDULER_POLL_MS).unref();
+    tick();
+}
+
+async function getSchedule(scheduleId) {
+    const db = await getDatabase();
+    return db.collection(SCHEDULES_COLLECTION).findOne({ scheduleId, deleted: { $ne: true } }, { projection: { _id: 0 } });
+}
+
+app.get('/api/schedules', async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const schedules = await db.collection(SCHEDULES_COLLECTION)
+            .find({ deleted: { $ne: true } }, { projection: { _id: 0 } })
+            .sort({ createdAt: 1 })
+            .toArray();
+        res.json({ success: true, schedules });
+    } catch (error) {
+        console.error('❌ Schedule listing failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/schedules/:scheduleId', async (req, res) => {
+    try {
+        const schedule = await getSchedule(req.params.scheduleId);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        res.json({ success: true, schedule });
+    } catch (error) {
+        console.error('❌ Schedule lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/schedules', requireRole('admin'), async (req, res) => {
+    try {
+        const { schedule, errors } = await resolveSchedule(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid schedule', details: errors });
+        }
+        
+        const db = await getDatabase();
+        const now = new Date();
+        const { principalId, name, dailySessionQuota } = req.auth;
+        const created = {
+            scheduleId: crypto.randomUUID(),
+            ...schedule,
+            createdBy: { principalId, name, dailySessionQuota },
+            lastRunAt: null,
+            lastRunId: null,
+            lastRunStatus: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        await db.collection(SCHEDULES_COLLECTION).insertOne(created);
+        console.log(`⏰ Created schedule ${created.scheduleId} (${created.cron} ${created.timezone}), next run ${created.nextRunAt?.toISOString()}`);
+        
+        res.status(201).json({ success: true, schedule: await getSchedule(created.scheduleId) });
+    } catch (error) {
+        console.error('❌ Schedule creation failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+    try {
+        const current = await getSchedule(req.params.scheduleId);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        
+        const { schedule, errors } = await resolveSchedule(req.body, current);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid schedule', details: errors });
+        }
+        
+        const db = await getDatabase();
+        await db.collection(SCHEDULES_COLLECTION).updateOne(
+            { scheduleId: current.scheduleId },
+            { $set: { ...schedule, updatedAt: new Date() } }
+        );
+        res.json({ success: true, schedule: await getSchedule(current.scheduleId) });
+    } catch (error) {
+        console.error('❌ Schedule update failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const result = await db.collection(SCHEDULES_COLLECTION).updateOne(
+            { scheduleId: req.params.scheduleId, deleted: { $ne: true } },
+            { $set: { deleted: true, enabled: false, nextRunAt: null, updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        res.json({ success: true, scheduleId: req.params.scheduleId });
+    } catch (error) {
+        console.error('❌ Schedule deletion failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Runs a schedule right away, outside its cron timing
+app.post('/api/schedules/:scheduleId/run', requireRole('admin'), async (req, res) => {
+    try {
+        const schedule = await getSchedule(req.params.scheduleId);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        
+        const run = await runSchedule(schedule, new Date(), true);
+        if (!run) {
+            return res.status(409).json({ success: false, error: 'A run of this schedule is already in progress' });
+        }
+        const { _id, ...runDetails } = run;
+        res.status(run.status === 'failed' ? 500 : 202).json({ success: run.status !== 'failed', run: runDetails });
+    } catch (error) {
+        console.error('❌ Manual schedule run failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Run history, newest first, with the current status of each run's job
+app.get('/api/schedules/:scheduleId/runs', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    
+    try {
+        const db = await getDatabase();
+        const runs = await db.collection(SCHEDULE_RUNS_COLLECTION)
+            .find({ scheduleId: req.params.scheduleId }, { projection: { _id: 0 } })
+            .sort({ scheduledFor: -1 })
+            .limit(limit)
+            .toArray();
+        
+        const jobIds = runs.map(run => run.jobId).filter(Boolean);
+        const jobs = await db.collection(ANALYSIS_JOBS_COLLECTION)
+            .find({ jobId: { $in: jobIds } }, { projection: { _id: 0, jobId: 1, status: 1, totalSessions: 1, processedSessions: 1, failedSessions: 1, completedAt: 1 } })
+            .toArray();
+        const jobsById = new Map(jobs.map(job => [job.jobId, job]));
+        
+        res.json({
+            success: true,
+            runs: runs.map(run => ({ ...run, job: jobsById.get(run.jobId) || null }))
+        });
+    } catch (error) {
+        console.error('❌ Schedule run history lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Who the caller is authenticated as, and how much of today's session quota is left
+app.get('/api/auth/me', async (req, res) => {
+    try {
+        const { type, name, role, dailySessionQuota } = req.auth;
+        res.json({
+            success: true,
+            identity: { type, name, role },
+            quota: dailySessionQuota ? await getSessionQuotaUsage(req.auth) : null
+        });
+    } catch (error) {
+        console.error('❌ Auth lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Session drill-down - transcript, stored analysis, score explanation and analysis history
+const SESSION_HISTORY_LIMIT = 20;
+
+// Looks a chat session up by the id it is reported under (see getSessionId)
+async function findChatSession(sessionId) {
+    const db = await getDatabase();
+    return db.collection('chat_sessions').findOne(buildSessionIdCondition([sessionId]));
+}
+
+function buildSessionTranscript(session) {
+    const messages = annotateReplyLatencies(getSessionMessages(session));
+    const latencies = messages.map(message => message.latencyMs).filter(latencyMs => latencyMs !== null);
+    const timestamps = messages.map(message => message.timestamp).filter(Boolean);
+    
+    return {
+        messageCount: messages.length,
+        durationMs: timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : null,
+        replyLatency: {
+            replies: latencies.length,
+            meanMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null,
+            maxMs: latencies.length > 0 ? Math.max(...latencies) : null
+        },
+        messages: messages.map((message, index) => ({ index, ...message }))
+    };
+}
+
+app.get('/api/sessions/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+    const { jobId } = req.query;
+    const historyLimit = Math.min(parseInt(req.query.historyLimit, 10) || SESSION_HISTORY_LIMIT, 100);
+    
+    try {
+        const db = await getDatabase();
+        const [session, history, latest] = await Promise.all([
+            findChatSession(sessionId),
+            db.collection(SESSION_ANALYSES_COLLECTION)
+                .find({ sessionId }, { projection: { _id: 0 } })
+                .sort({ analyzedAt: -1 })
+                .limit(historyLimit)
+                .toArray(),
+            db.collection(SESSION_ANALYSES_COLLECTION).findOne(
+                excludeExperimentAnalyses({ sessionId }, shouldIncludeExperiments(req.query.includeExperiments)),
+                { sort: { analyzedAt: -1 }, projection: { _id: 0 } }
+            )
+        ]);
+        
+        // The analysis shown is the one from the given job, otherwise the latest stored one
+        let current = null;
+        if (jobId) {
+            const jobResult = await db.collection(ANALYSIS_JOB_RESULTS_COLLECTION).findOne({ jobId, sessionId }, { projection: { _id: 0 } });
+            if (!jobResult) {
+                return res.status(404).json({ success: false, error: `Session ${sessionId} is not part of analysis job ${jobId}` });
+            }
+            current = { source: { type: 'job', jobId, analyzedAt: jobResult.timestamp }, ...jobResult };
+        } else if (latest) {
+            current = { source: { type: 'stored', analyzedAt: latest.analyzedAt }, ...latest };
+        }
+        
+        if (!session && !current) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+        if (current && shouldApplyOverrides(req.query.overrides)) {
+            [current] = await applyReviewOverrides([current], [sessionId]);
+        }
+        
+        let scoreExplanation = null;
+        if (current?.analysis) {
+            const scoredWith = current.score?.rubric;
+            const rubric = (scoredWith && await getScoringRubric(scoredWith.rubricId, scoredWith.version)) || DEFAULT_SCORING_RUBRIC;
+            scoreExplanation = explainScoreComponents(current.analysis, rubric);
+        }
+        
+        const sessionHash = session ? getSessionHash(session) : null;
+        
+        res.json({
+            success: true,
+            sessionId,
+            // null when the session has been removed from chat_sessions since it was analyzed
+            session: session ? { attributes: getSessionAttributes(session), sessionHash } : null,
+            transcript: session ? buildSessionTranscript(session) : null,
+            transcriptMetrics: session ? computeTranscriptMetrics(session) : null,
+            analysis: current ? {
+                source: current.source,
+                analysis: current.analysis,
+                score: current.score,
+                dataQualityIssues: current.dataQualityIssues || [],
+                latencyCheck: current.latencyCheck || null,
+                // Fields corrected by a reviewer, with the judge's original values
+                review: current.review || null
+            } : null,
+            scoreExplanation,
+            history: history.map(entry => ({
+                analyzedAt: entry.analyzedAt,
+                evaluator: entry.evaluator || 'workflow',
+                workflowId: entry.workflowId,
+                workflowVersion: entry.workflowVersion,
+                totalScore: entry.score?.totalScore ?? null,
+                rubric: entry.score?.rubric || null,
+                dataQualityIssueCount: (entry.dataQualityIssues || []).length,
+                experimentId: entry.experimentId || null,
+                // The session document changed after this analysis was made
+                sessionChanged: sessionHash ? entry.sessionHash !== sessionHash : null
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Session drill-down failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Human review - QA reviewers correct judge labels. Overrides are applied on top of the
+// stored analyses when results are read, so the judge's original labels are never modified.
+const SESSION_REVIEWS_COLLECTION = 'session_reviews';
+// Sessions scoring below this are queued for review
+const REVIEW_SCORE_THRESHOLD = Number(process.env.REVIEW_SCORE_THRESHOLD) || 50;
+// Normalization problems that mean the judge's output can't be fully trusted
+const LOW_CONFIDENCE_ISSUE_KINDS = ['missing_field', 'wrong_type', 'unknown_value'];
+// How often an override is re-applied when another reviewer changed the review in between
+const REVIEW_UPDATE_ATTEMPTS = 3;
+
+// Looks up the rubric a stored score was made with ({ rubricId, version }) once per version;
+// the built-in rubric stands in for unknown or missing ones
+function createRubricCache() {
+    const rubrics = new Map();
+    return {
+        async get(scoredWith) {
+            const key = `${scoredWith?.rubricId}@${scoredWith?.version}`;
+            if (!rubrics.has(key)) {
+                rubrics.set(key, (scoredWith && await getScoringRubric(scoredWith.rubricId, scoredWith.version)) || DEFAULT_SCORING_RUBRIC);
+            }
+            return rubrics.get(key);
+        }
+    };
+}
+
+// Returns a function that applies the reviewers' overrides to a result ({ sessionId, analysis, score })
+// and re-scores it with the rubric it was scored with. Reviews are made by hand, so all reviews
+// with overrides fit in memory.
+async function createReviewOverlay(sessionIds = null) {
+    const db = await getDatabase();
+    const reviews = await db.collection(SESSION_REVIEWS_COLLECTION)
+        .find(
+            { 'overrides.0': { $exists: true }, ...(sessionIds && { sessionId: { $in: sessionIds } }) },
+            { projection: { _id: 0, sessionId: 1, overrides: 1 } }
+        )
+        .toArray();
+    const overridesBySession = new Map(reviews.map(review => [review.sessionId, review.overrides]));
+    const rubrics = createRubricCache();
+    
+    return async result => {
+        const overrides = overridesBySession.get(result.sessionId);
+        if (!overrides || !result.analysis) {
+            return result;
+        }
+        
+        const analysis = JSON.parse(JSON.stringify(result.analysis));
+        const originalValues = {};
+        overrides.forEach(({ field, value }) => {
+            originalValues[field] = getFieldValue(analysis, field) ?? null;
+            setFieldValue(analysis, field, value);
+        });
+        
+        return {
+            ...result,
+            analysis,
+            score: calculateSessionScore(analysis, await rubrics.get(result.score?.rubric)),
+            review: {
+                overriddenFields: overrides.map(override => override.field),
+                originalValues,
+                originalScore: result.score?.totalScore ?? null
+            }
+        };
+    };
+}
+
+async function applyReviewOverrides(results, sessionIds = null) {
+    if (results.length === 0) {
+        return results;
+    }
+    const overlay = await createReviewOverlay(sessionIds);
+    return Promise.all(results.map(overlay));
+}
+
+// Reads `overrides=false` from a query string or body; overrides are applied by default
+function shouldApplyOverrides(value) {
+    return value !== false && value !== 'false';
+}
+
+// Validates and canonicalizes { field: value } corrections. null removes an override.
+function resolveReviewOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides) || Object.keys(overrides).length === 0) {
+        throw new Error('overrides must be an object mapping analysis fields to corrected values');
+    }
+    
+    return Object.entries(overrides).map(([field, value]) => {
+        const spec = ANALYSIS_SCHEMA[field];
+        if (!spec) {
+            throw new Error(`Unknown analysis field "${field}" (allowed: ${Object.keys(ANALYSIS_SCHEMA).join(', ')})`);
+        }
+        if (value === null) {
+            return { field, value: null };
+        }
+        
+        const scratch = {};
+        setFieldValue(scratch, field, value);
+        const issue = normalizeSchemaField(scratch, field, spec);
+        if (issue && LOW_CONFIDENCE_ISSUE_KINDS.includes(issue.kind)) {
+            const expected = Array.isArray(issue.expected) ? issue.expected.join(', ') : issue.expected;
+            throw new Error(`Invalid value ${JSON.stringify(value)} for ${field}${expected ? ` (expected ${expected})` : ''}`);
+        }
+        return { field, value: getFieldValue(scratch, field) };
+    });
+}
+
+function getReviewReasons(result, review, maxScore) {
+    const reasons = [];
+    if (review?.status === 'disputed') {
+        reasons.push('disputed');
+    }
+    if ((result.score?.totalScore ?? 0) < maxScore) {
+        reasons.push('low_score');
+    }
+    if ((result.dataQualityIssues || []).some(issue => LOW_CONFIDENCE_ISSUE_KINDS.includes(issue.kind))) {
+        reasons.push('low_confidence');
+    }
+    // The judge's latency class contradicts the measured reply times
+    if (result.latencyCheck?.agrees === false) {
+        reasons.push('latency_mismatch');
+    }
+    return reasons;
+}
+
+function getReviewActor(req) {
+    return { name: req.auth.name, role: req.auth.role };
+}
+
+// Merges corrections into the review's current overrides. Every write to a review bumps its `version`,
+// and this one only lands on the version it read (or `expectedVersion`, the one the reviewer saw; 0 before
+// the first write) - resolves to null when another write got there first.
+async function saveReviewOverrides(collection, stored, corrections, comment, actor, expectedVersion = null) {
+    const { sessionId } = stored;
+    const existing = await collection.findOne({ sessionId });
+    if (expectedVersion !== null && expectedVersion !== (existing?.version ?? 0)) {
+        return null;
+    }
+    const previousOverrides = existing?.overrides || [];
+    const now = new Date();
+    
+    const changes = corrections.map(({ field, value }) => {
+        const previous = previousOverrides.find(override => override.field === field);
+        const originalValue = getFieldValue(stored.analysis, field) ?? null;
+        return { field, from: previous ? previous.value : originalValue, to: value ?? originalValue, originalValue, reverted: value === null };
+    });
+    const overrides = [
+        ...previousOverrides.filter(override => !corrections.some(correction => correction.field === override.field)),
+        ...corrections
+            .filter(correction => correction.value !== null)
+            .map(({ field, value }) => ({ field, value, comment, reviewedBy: actor.name, reviewedAt: now }))
+    ];
+    const auditEntry = { action: 'override', changes, comment, by: actor, at: now };
+    
+    try {
+        if (!existing) {
+            await collection.insertOne({ sessionId, status: 'reviewed', overrides, version: 1, createdAt: now, updatedAt: now, auditTrail: [auditEntry] });
+        } else {
+            const { matchedCount } = await collection.updateOne(
+                { sessionId, version: existing.version ?? null },
+                {
+                    $set: { status: 'reviewed', overrides, updatedAt: now },
+                    $inc: { version: 1 },
+                    $push: { auditTrail: auditEntry }
+                }
+            );
+            if (matchedCount === 0) {
+                return null;
+            }
+        }
+    } catch (error) {
+        // Unique sessionId index - another reviewer created the review first
+        if (error.code === 11000) {
+            return null;
+        }
+        throw error;
+    }
+    return { changes, overrides, version: (existing?.version ?? 0) + 1 };
+}
+
+// Sessions waiting for a reviewer: disputed first, then lowest score first.
+// Reviewed sessions drop out of the queue until they are disputed again.
+app.get('/api/reviews/queue', async (req, res) => {
+    const { jobId, fromDate, toDate } = req.query;
+    const maxScore = req.query.maxScore !== undefined ? Number(req.query.maxScore) : REVIEW_SCORE_THRESHOLD;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const includeReviewed = req.query.includeReviewed === 'true';
+    
+    if (!jobId && (!fromDate || !toDate)) {
+        return res.status(400).json({ error: 'Either jobId or both fromDate and toDate are required' });
+    }
+    if (Number.isNaN(maxScore)) {
+        return res.status(400).json({ error: 'maxScore must be a number' });
+    }
+    
+    try {
+        let results;
+        if (jobId) {
+            const job = await getAnalysisJob(jobId);
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'Analysis job not found' });
+            }
+            results = await getAnalysisJobResults(jobId, { applyOverrides: false });
+        } else {
+            results = await getStoredAnalysesInRange(fromDate, toDate, { applyOverrides: false });
+        }
+        
+        const db = await getDatabase();
+        const reviews = await db.collection(SESSION_REVIEWS_COLLECTION)
+            .find({ sessionId: { $in: results.map(result => result.sessionId) } }, { projection: { _id: 0, auditTrail: 0 } })
+            .toArray();
+        const reviewsBySession = new Map(reviews.map(review => [review.sessionId, review]));
+        
+        const queue = results
+            .map(result => {
+                const review = reviewsBySession.get(result.sessionId);
+                return { result, review, reasons: getReviewReasons(result, review, maxScore) };
+            })
+            .filter(({ review, reasons }) => reasons.length > 0 && (includeReviewed || review?.status !== 'reviewed'))
+            .sort((a, b) => (b.reasons[0] === 'disputed') - (a.reasons[0] === 'disputed') ||
+                (a.result.score?.totalScore ?? 0) - (b.result.score?.totalScore ?? 0));
+        
+        res.json({
+            success: true,
+            source: jobId ? { jobId } : { dateRange: { fromDate, toDate } },
+            maxScore,
+            totalQueued: queue.length,
+            sessions: queue.slice(0, limit).map(({ result, review, reasons }) => ({
+                sessionId: result.sessionId,
+                reasons,
+                totalScore: result.score?.totalScore ?? null,
+                dataQualityIssueCount: (result.dataQualityIssues || []).length,
+                sessionAttributes: result.sessionAttributes || null,
+                review: review ? { status: review.status, overrideCount: review.overrides.length, updatedAt: review.updatedAt } : null
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Review queue lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Current overrides and the full audit trail of a session's review
+app.get('/api/reviews/:sessionId', async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const review = await db.collection(SESSION_REVIEWS_COLLECTION).findOne({ sessionId: req.params.sessionId }, { projection: { _id: 0 } });
+        if (!review) {
+            return res.status(404).json({ success: false, error: 'Session has not been reviewed or disputed' });
+        }
+        res.json({ success: true, review });
+    } catch (error) {
+        console.error('❌ Review lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Submit corrected values for a session's analysis, with a comment, and re-score it
+app.post('/api/reviews/:sessionId/overrides', requireRole('analyst'), async (req, res) => {
+    const { sessionId } = req.params;
+    const { comment } = req.body;
+    
+    let corrections;
+    try {
+        corrections = resolveReviewOverrides(req.body.overrides);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (typeof comment !== 'string' || comment.trim() === '') {
+        return res.status(400).json({ error: 'comment is required' });
+    }
+    // Optional: the review version the reviewer based the corrections on. A stale one is a conflict, not retried.
+    const expectedVersion = req.body.version ?? null;
+    if (expectedVersion !== null && (!Number.isInteger(expectedVersion) || expectedVersion < 0)) {
+        return res.status(400).json({ error: 'version must be a non-negative integer' });
+    }
+    
+    try {
+        const stored = (await getLatestSessionAnalyses([sessionId], { applyOverrides: false })).get(sessionId);
+        if (!stored) {
+            return res.status(404).json({ success: false, error: `No stored analysis for session ${sessionId}` });
+        }
+        
+        const db = await getDatabase();
+        const collection = db.collection(SESSION_REVIEWS_COLLECTION);
+        const actor = getReviewActor(req);
+        
+        let saved = null;
+        const attempts = expectedVersion === null ? REVIEW_UPDATE_ATTEMPTS : 1;
+        for (let attempt = 1; attempt <= attempts && !saved; attempt++) {
+            saved = await saveReviewOverrides(collection, stored, corrections, comment.trim(), actor, expectedVersion);
+        }
+        if (!saved) {
+            return res.status(409).json({ success: false, error: `Review of session ${sessionId} was changed by someone else - reload it and try again` });
+        }
+        const { changes, overrides, version } = saved;
+        console.log(`📝 ${actor.name} reviewed session ${sessionId}: ${changes.map(change => `${change.field} ${change.from} → ${change.to}`).join(', ')}`);
+        
+        const [reviewed] = await applyReviewOverrides([stored], [sessionId]);
+        
+        res.json({
+            success: true,
+            sessionId,
+            status: 'reviewed',
+            version,
+            changes,
+            overrides,
+            analysis: reviewed.analysis,
+            score: {
+                original: stored.score,
+                reviewed: reviewed.score
+            }
+        });
+    } catch (error) {
+        console.error('❌ Review override failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Flag a session's labels as wrong so it is queued for a reviewer
+app.post('/api/reviews/:sessionId/dispute', requireRole('analyst'), async (req, res) => {
+    const { sessionId } = req.params;
+    const { comment } = req.body;
+    
+    if (typeof comment !== 'string' || comment.trim() === '') {
+        return res.status(400).json({ error: 'comment is required' });
+    }
+    
+    try {
+        const stored = (await getLatestSessionAnalyses([sessionId], { applyOverrides: false })).get(sessionId);
+        if (!stored) {
+            return res.status(404).json({ success: false, error: `No stored analysis for session ${sessionId}` });
+        }
+        
+        const db = await getDatabase();
+        const now = new Date();
+        const actor = getReviewActor(req);
+        await db.collection(SESSION_REVIEWS_COLLECTION).updateOne(
+            { sessionId },
+            {
+                $set: { status: 'disputed', updatedAt: now },
+                $inc: { version: 1 },
+                $setOnInsert: { overrides: [], createdAt: now },
+                $push: { auditTrail: { action: 'dispute', comment: comment.trim(), by: actor, at: now } }
+            },
+            { upsert: true }
+        );
+        console.log(`🚩 ${actor.name} disputed session ${sessionId}`);
+        
+        res.json({ success: true, sessionId, status: 'disputed' });
+    } catch (error) {
+        console.error('❌ Review dispute failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Judge agreement - how well the judge's labels match human ground truth, per field.
+// Ground truth comes from imported gold label sets and/or reviewed sessions.
+const GOLD_LABELS_COLLECTION = 'gold_labels';
+// Categorical outputs of normalizeAnalysisResult; free-text fields can't be compared
+const AGREEMENT_FIELDS = Object.keys(ANALYSIS_SCHEMA).filter(field => ANALYSIS_SCHEMA[field].type !== 'string');
+const MISSING_LABEL = '(missing)';
+// Landis & Koch bands for reading Cohen's kappa; 0-0.2 is 'slight', below 0 'poor'
+const KAPPA_BANDS = [[0.8, 'almost perfect'], [0.6, 'substantial'], [0.4, 'moderate'], [0.2, 'fair']];
+const MAX_GOLD_LABEL_ERRORS = 50;
+
+function interpretKappa(kappa) {
+    if (kappa === null) {
+        return null;
+    }
+    if (kappa < 0) {
+        return 'poor';
+    }
+    const band = KAPPA_BANDS.find(([minimum]) => kappa > minimum);
+    return band ? band[1] : 'slight';
+}
+
+// Confusion matrix (rows: gold label, columns: judge label), precision/recall per class
+// and Cohen's kappa for one field. `pairs` is [{ gold, predicted }].
+function calculateFieldAgreement(pairs, vocabulary = []) {
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+    const labelOf = value => (value === undefined || value === null ? MISSING_LABEL : String(value));
+    const labels = [...new Set([...vocabulary.map(String), ...pairs.flatMap(pair => [labelOf(pair.gold), labelOf(pair.predicted)])])];
+    
+    const confusionMatrix = {};
+    labels.forEach(gold => {
+        confusionMatrix[gold] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+    });
+    pairs.forEach(pair => {
+        confusionMatrix[labelOf(pair.gold)][labelOf(pair.predicted)]++;
+    });
+    
+    const n = pairs.length;
+    const goldTotals = Object.fromEntries(labels.map(label => [label, labels.reduce((sum, predicted) => sum + confusionMatrix[label][predicted], 0)]));
+    const predictedTotals = Object.fromEntries(labels.map(label => [label, labels.reduce((sum, gold) => sum + confusionMatrix[gold][label], 0)]));
+    const agreed = labels.reduce((sum, label) => sum + confusionMatrix[label][label], 0);
+    
+    const observed = n > 0 ? agreed / n : null;
+    const expected = n > 0 ? labels.reduce((sum, label) => sum + goldTotals[label] * predictedTotals[label], 0) / (n * n) : null;
+    // Undefined when both sides only ever use one and the same label
+    const kappa = n > 0 && expected < 1 ? (observed - expected) / (1 - expected) : null;
+    
+    const perClass = labels
+        .filter(label => goldTotals[label] > 0 || predictedTotals[label] > 0)
+        .map(label => {
+            const truePositives = confusionMatrix[label][label];
+            const precision = predictedTotals[label] > 0 ? truePositives / predictedTotals[label] : null;
+            const recall = goldTotals[label] > 0 ? truePositives / goldTotals[label] : null;
+            const f1 = precision && recall ? 2 * precision * recall / (precision + recall) : (precision === null || recall === null ? null : 0);
+            return { label, support: goldTotals[label], predicted: predictedTotals[label], precision: round(precision), recall: round(recall), f1: round(f1) };
+        });
+    
+    return {
+        sessionCount: n,
+        accuracy: round(observed),
+        kappa: round(kappa),
+        agreement: interpretKappa(round(kappa)),
+        labels,
+        confusionMatrix,
+        perClass
+    };
+}
+
+// `items` is [{ sessionId, gold: { field: label }, judge: analysis, goldScore, judgeScore }]
+function calculateJudgeAgreement(items, fields = AGREEMENT_FIELDS) {
+    const fieldResults = {};
+    fields.forEach(field => {
+        const pairs = items
+            .filter(item => item.gold[field] !== undefined && item.gold[field] !== null)
+            .map(item => ({ gold: item.gold[field], predicted: getFieldValue(item.judge, field) }));
+        const vocabulary = ANALYSIS_SCHEMA[field].type === 'boolean' ? [true, false] : (ANALYSIS_FIELD_VOCABULARY[field] || []);
+        fieldResults[field] = calculateFieldAgreement(pairs, vocabulary);
+    });
+    
+    const scored = items.filter(item => typeof item.goldScore === 'number' && typeof item.judgeScore === 'number');
+    const errors = scored.map(item => item.judgeScore - item.goldScore);
+    const mean = values => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100;
+    
+    return {
+        fields: fieldResults,
+        // Most trustworthy dimensions first; fields without gold labels last
+        ranking: Object.entries(fieldResults)
+            .filter(([, result]) => result.sessionCount > 0)
+            .sort(([, a], [, b]) => (b.kappa ?? -Infinity) - (a.kappa ?? -Infinity))
+            .map(([field, result]) => ({ field, sessionCount: result.sessionCount, accuracy: result.accuracy, kappa: result.kappa, agreement: result.agreement })),
+        totalScore: {
+            sessionCount: scored.length,
+            meanAbsoluteError: scored.length > 0 ? mean(errors.map(Math.abs)) : null,
+            // Positive when the judge scores sessions higher than the humans would
+            meanError: scored.length > 0 ? mean(errors) : null
+        }
+    };
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF line ends
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
     }
-    
-    if (normalized.conversation_quality?.quality) {
-        normalized.conversation_quality.quality = normalized.conversation_quality.quality.toLowerCase();
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// CSV gold labels: a sessionId column, one column per labelled field and an optional totalScore
+function parseGoldLabelCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('sessionId')) {
+        throw new Error('CSV needs a header row with a sessionId column');
+    }
+    const unknownColumns = header.filter(column => column !== 'sessionId' && column !== 'totalScore' && !ANALYSIS_SCHEMA[column]);
+    if (unknownColumns.length > 0) {
+        throw new Error(`Unknown CSV column(s): ${unknownColumns.join(', ')}`);
     }
     
-    return normalized;
+    return rows.map(cells => {
+        const entry = { labels: {} };
+        header.forEach((column, i) => {
+            const cell = (cells[i] || '').trim();
+            if (cell === '') {
+                return;
+            }
+            if (column === 'sessionId') {
+                entry.sessionId = cell;
+            } else if (column === 'totalScore') {
+                entry.totalScore = Number(cell);
+            } else {
+                entry.labels[column] = cell;
+            }
+        });
+        return entry;
+    });
 }
 
-// New scoring function based on the provided formula
-function calculateSessionScore(analysis) {
-    if (!analysis) {
-        console.log('⚠️ No analysis data provided for scoring');
-        return 0;
+// Validates one imported session and canonicalizes its labels. Returns { entry } or { error }.
+function resolveGoldLabelEntry(entry) {
+    if (!entry || typeof entry.sessionId !== 'string' || entry.sessionId === '') {
+        return { error: 'sessionId is required' };
     }
-    
-    let totalScore = 0;
-    const scoreBreakdown = {};
-    
-    console.log('📊 Calculating score with new formula...');
-    
-    // 1. Issue Resolution Success (25%)
-    let issueResolutionScore = 0;
-    if (analysis.issue_status?.status) {
-        issueResolutionScore = analysis.issue_status.status.toLowerCase() === 'resolved' ? 100 : 0;
-        console.log(`- Issue Resolution: ${analysis.issue_status.status} → ${issueResolutionScore} points`);
-    }
-    scoreBreakdown.issueResolution = issueResolutionScore * 0.25;
-    totalScore += scoreBreakdown.issueResolution;
-    
-    // 2. Human Escalation Impact (20%)
-    let escalationScore = 0;
-    if (analysis.human_escalation?.is_escalated) {
-        escalationScore = analysis.human_escalation.is_escalated.toLowerCase() === 'no' ? 100 : 0;
-        console.log(`- Human Escalation: ${analysis.human_escalation.is_escalated} → ${escalationScore} points`);
-    }
-    scoreBreakdown.escalationAvoidance = escalationScore * 0.20;
-    totalScore += scoreBreakdown.escalationAvoidance;
-    
-    // 3. User Experience Quality (15%)
-    let userExperienceScore = 0;
-    if (analysis.user_experience?.experience_level) {
-        const level = analysis.user_experience.experience_level;
-        switch(level) {
-            case 5: userExperienceScore = 100; break;
-            case 4: userExperienceScore = 80; break;
-            case 3: userExperienceScore = 60; break;
-            case 2: userExperienceScore = 40; break;
-            case 1: userExperienceScore = 20; break;
-            default: userExperienceScore = 0;
-        }
-        console.log(`- User Experience Level: ${level} → ${userExperienceScore} points`);
-    }
-    scoreBreakdown.userExperience = userExperienceScore * 0.15;
-    totalScore += scoreBreakdown.userExperience;
-    
-    // 4. Conversation Completion (10%)
-    let completionScore = 0;
-    if (analysis.is_chat_completed) {
-        completionScore = analysis.is_chat_completed.toLowerCase() === 'yes' ? 100 : 0;
-        console.log(`- Chat Completion: ${analysis.is_chat_completed} → ${completionScore} points`);
-    }
-    scoreBreakdown.chatCompletion = completionScore * 0.10;
-    totalScore += scoreBreakdown.chatCompletion;
-    
-    // 5. Overall Response Quality (8%)
-    let responseQualityScore = 0;
-    if (analysis.response_quality?.overall_quality_score) {
-        const quality = analysis.response_quality.overall_quality_score.toLowerCase();
-        switch(quality) {
-            case 'excellent': responseQualityScore = 100; break;
-            case 'good': responseQualityScore = 75; break;
-            case 'fair': responseQualityScore = 50; break;
-            case 'poor': responseQualityScore = 25; break;
-            default: responseQualityScore = 0;
-        }
-        console.log(`- Response Quality: ${quality} → ${responseQualityScore} points`);
-    }
-    scoreBreakdown.responseQuality = responseQualityScore * 0.08;
-    totalScore += scoreBreakdown.responseQuality;
-    
-    // 6. Response Accuracy (7%)
-    let accuracyScore = 0;
-    if (analysis.accuracy_level) {
-        const accuracy = analysis.accuracy_level.toLowerCase();
-        switch(accuracy) {
-            case 'correct': accuracyScore = 100; break;
-            case 'partially correct': accuracyScore = 50; break;
-            case 'wrong': accuracyScore = 0; break;
-            default: accuracyScore = 0;
-        }
-        console.log(`- Accuracy: ${accuracy} → ${accuracyScore} points`);
-    }
-    scoreBreakdown.accuracy = accuracyScore * 0.07;
-    totalScore += scoreBreakdown.accuracy;
-    
-    // 7. Response Components (5% total - 1.25% each)
-    let componentScore = 0;
-    if (analysis.response_quality) {
-        const components = ['is_clear', 'is_concise', 'is_easy_to_understand', 'is_relevant'];
-        let componentPoints = 0;
-        components.forEach(component => {
-            if (analysis.response_quality[component]) {
-                const value = analysis.response_quality[component].toLowerCase() === 'yes' ? 100 : 0;
-                componentPoints += value;
-                console.log(`- ${component}: ${analysis.response_quality[component]} → ${value} points`);
-            }
-        });
-        componentScore = componentPoints / 4; // Average of 4 components
-    }
-    scoreBreakdown.responseComponents = componentScore * 0.05;
-    totalScore += scoreBreakdown.responseComponents;
-    
-    // 8. User Sentiment (5%)
-    let sentimentScore = 0;
-    if (analysis.user_sentiment?.sentiment) {
-        const sentiment = analysis.user_sentiment.sentiment.toLowerCase();
-        switch(sentiment) {
-            case 'positive': sentimentScore = 100; break;
-            case 'neutral': sentimentScore = 70; break;
-            case 'negative': sentimentScore = 30; break;
-            case 'frustrated': sentimentScore = 0; break;
-            default: sentimentScore = 70; // Default to neutral
-        }
-        console.log(`- User Sentiment: ${sentiment} → ${sentimentScore} points`);
-    }
-    scoreBreakdown.userSentiment = sentimentScore * 0.05;
-    totalScore += scoreBreakdown.userSentiment;
-    
-    // 9. User Effort Required (3%) - Inverted scoring
-    let effortScore = 0;
-    if (analysis.user_effort?.effort_level) {
-        const level = analysis.user_effort.effort_level;
-        switch(level) {
-            case 1: effortScore = 100; break;
-            case 2: effortScore = 80; break;
-            case 3: effortScore = 60; break;
-            case 4: effortScore = 40; break;
-            case 5: effortScore = 20; break;
-            default: effortScore = 0;
-        }
-        console.log(`- User Effort Level: ${level} → ${effortScore} points`);
-    }
-    scoreBreakdown.userEffort = effortScore * 0.03;
-    totalScore += scoreBreakdown.userEffort;
-    
-    // 10. Bot Communication Tone (2%)
-    let toneScore = 0;
-    if (analysis.bot_tone?.tone) {
-        const tone = analysis.bot_tone.tone.toLowerCase();
-        switch(tone) {
-            case 'professional': toneScore = 100; break;
-            case 'friendly': toneScore = 95; break;
-            case 'neutral': toneScore = 70; break;
-            case 'inappropriate': toneScore = 0; break;
-            default: toneScore = 70; // Default to neutral
-        }
-        console.log(`- Bot Tone: ${tone} → ${toneScore} points`);
-    }
-    scoreBreakdown.botTone = toneScore * 0.02;
-    totalScore += scoreBreakdown.botTone;
-    
-    // Bonus/Penalty Factors
-    let penalties = 0;
-    
-    // Escalation Necessity Penalty (-10 points)
-    if (analysis.escalation_necessity?.was_escalation_necessary === 'no' && 
-        analysis.human_escalation?.is_escalated === 'yes') {
-        penalties -= 10;
-        console.log('- Escalation Necessity Penalty: -10 points');
+    if (entry.totalScore !== undefined && (typeof entry.totalScore !== 'number' || Number.isNaN(entry.totalScore) || entry.totalScore < 0 || entry.totalScore > 100)) {
+        return { error: `${entry.sessionId}: totalScore must be a number between 0 and 100` };
     }
-    
-    // Performance Penalty (up to -5 points)
-    if (analysis.overall_latency_classification) {
-        const latency = analysis.overall_latency_classification.toLowerCase();
-        switch(latency) {
-            case 'good': break; // No penalty
-            case 'average': penalties -= 2; break;
-            case 'bad': penalties -= 5; break;
-        }
-        console.log(`- Latency Penalty: ${latency} → ${penalties < 0 ? penalties : 0} points`);
+    const hasLabels = entry.labels && typeof entry.labels === 'object' && Object.keys(entry.labels).length > 0;
+    if (!hasLabels && entry.totalScore === undefined) {
+        return { error: `${entry.sessionId}: needs labels and/or a totalScore` };
     }
     
-    totalScore += penalties;
-    scoreBreakdown.penalties = penalties;
-    
-    console.log(`📊 Final Score Breakdown:`, scoreBreakdown);
-    console.log(`📊 Total Score: ${totalScore.toFixed(2)}`);
-    
-    return {
-        totalScore: Math.max(0, Math.round(totalScore * 100) / 100), // Ensure non-negative, round to 2 decimals
-        breakdown: scoreBreakdown
-    };
+    try {
+        const labels = hasLabels ? resolveReviewOverrides(entry.labels).filter(label => label.value !== null) : [];
+        return { entry: { sessionId: entry.sessionId, labels, totalScore: entry.totalScore ?? null } };
+    } catch (error) {
+        return { error: `${entry.sessionId}: ${error.message}` };
+    }
 }
 
-// Function to calculate aggregate statistics - UPDATED with additional distributions
-function calculateAggregateStats(analysisResults) {
-    if (!analysisResults || analysisResults.length === 0) {
-        return {
-            average_chat_completion_rate: { "yes": 0, "no": 0 },
-            average_user_sentiment_distribution: {},
-            average_bot_tone_distribution: {},
-            average_anydesk_required: { "true": 0, "false": 0 },
-            average_user_experience_level: 0,
-            average_user_effort_level: 0,
-            average_response_accuracy: {},
-            average_issue_resolution_rate: { "resolved": 0, "unresolved": 0 },
-            average_human_escalation_rate: { "yes": 0, "no": 0 },
-            overall_response_quality_distribution: {},
-            escalation_necessity_distribution: {},
-            response_quality_distribution: {},
-            performance_distribution: {},
-            response_components_distribution: {}
-        };
+// Import a gold label set - JSON { datasetId, sessions: [{ sessionId, labels, totalScore }] },
+// or a CSV body (Content-Type: text/csv) with ?datasetId=. Re-importing a session replaces its labels.
+app.post('/api/gold-labels', requireRole('analyst'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+    const isCsv = typeof req.body === 'string';
+    const datasetId = isCsv ? req.query.datasetId : req.body.datasetId;
+    
+    if (typeof datasetId !== 'string' || !/^[a-z0-9_-]+$/i.test(datasetId)) {
+        return res.status(400).json({ error: 'datasetId must be a non-empty string of letters, digits, "-" or "_"' });
     }
     
-    const totalSessions = analysisResults.length;
-    const stats = {
-        chat_completion: { "yes": 0, "no": 0 },
-        user_sentiment: {},
-        bot_tone: {},
-        anydesk_required: { "true": 0, "false": 0 },
-        user_experience_levels: [],
-        user_effort_levels: [],
-        accuracy_levels: {},
-        issue_resolution: { "resolved": 0, "unresolved": 0 },
-        human_escalation: { "yes": 0, "no": 0 },
-        overall_response_quality: {},
-        escalation_necessity: {},
-        performance_classification: {},
-        response_components: {
-            is_clear: { "yes": 0, "no": 0 },
-            is_concise: { "yes": 0, "no": 0 },
-            is_easy_to_understand: { "yes": 0, "no": 0 },
-            is_relevant: { "yes": 0, "no": 0 }
-        }
-    };
+    let entries;
+    try {
+        entries = isCsv ? parseGoldLabelCsv(req.body) : req.body.sessions;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ error: 'sessions must be a non-empty array' });
+    }
     
-    analysisResults.forEach(result => {
-        const analysis = result.analysis;
-        
-        // Chat completion
-        if (analysis.is_chat_completed) {
-            const completion = analysis.is_chat_completed.toLowerCase();
-            stats.chat_completion[completion] = (stats.chat_completion[completion] || 0) + 1;
-        }
-        
-        // User sentiment
-        if (analysis.user_sentiment?.sentiment) {
-            const sentiment = analysis.user_sentiment.sentiment.toLowerCase();
-            stats.user_sentiment[sentiment] = (stats.user_sentiment[sentiment] || 0) + 1;
-        }
+    const resolved = entries.map(resolveGoldLabelEntry);
+    const errors = resolved.filter(result => result.error).map(result => result.error);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid gold labels', details: errors.slice(0, MAX_GOLD_LABEL_ERRORS) });
+    }
+    
+    try {
+        const db = await getDatabase();
+        const now = new Date();
+        await db.collection(GOLD_LABELS_COLLECTION).bulkWrite(resolved.map(({ entry }) => ({
+            updateOne: {
+                filter: { datasetId, sessionId: entry.sessionId },
+                update: { $set: { labels: entry.labels, totalScore: entry.totalScore, importedBy: req.auth.name, importedAt: now } },
+                upsert: true
+            }
+        })));
+        console.log(`🏷️ Imported ${resolved.length} gold-labelled sessions into ${datasetId}`);
         
-        // Bot tone
-        if (analysis.bot_tone?.tone) {
-            const tone = analysis.bot_tone.tone.toLowerCase();
-            stats.bot_tone[tone] = (stats.bot_tone[tone] || 0) + 1;
-        }
+        res.status(201).json({ success: true, datasetId, importedSessions: resolved.length });
+    } catch (error) {
+        console.error('❌ Gold label import failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/gold-labels', async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const entries = await db.collection(GOLD_LABELS_COLLECTION)
+            .find({}, { projection: { _id: 0, datasetId: 1, importedAt: 1 } })
+            .toArray();
         
-        // AnyDesk required
-        if (analysis.conversation_quality?.is_anydesk_required !== undefined) {
-            const anydesk = analysis.conversation_quality.is_anydesk_required.toString();
-            stats.anydesk_required[anydesk] = (stats.anydesk_required[anydesk] || 0) + 1;
-        }
+        const datasets = new Map();
+        entries.forEach(entry => {
+            const dataset = datasets.get(entry.datasetId) || { datasetId: entry.datasetId, sessionCount: 0, lastImportedAt: null };
+            dataset.sessionCount++;
+            if (!dataset.lastImportedAt || entry.importedAt > dataset.lastImportedAt) {
+                dataset.lastImportedAt = entry.importedAt;
+            }
+            datasets.set(entry.datasetId, dataset);
+        });
         
-        // User experience level
-        if (analysis.user_experience?.experience_level) {
-            stats.user_experience_levels.push(analysis.user_experience.experience_level);
+        res.json({ success: true, datasets: [...datasets.values()] });
+    } catch (error) {
+        console.error('❌ Listing gold label sets failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/gold-labels/:datasetId', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await getDatabase();
+        const { deletedCount } = await db.collection(GOLD_LABELS_COLLECTION).deleteMany({ datasetId: req.params.datasetId });
+        if (deletedCount === 0) {
+            return res.status(404).json({ success: false, error: 'Gold label set not found' });
         }
+        console.log(`🗑️ Deleted gold label set ${req.params.datasetId} (${deletedCount} sessions)`);
         
-        // User effort level
-        if (analysis.user_effort?.effort_level) {
-            stats.user_effort_levels.push(analysis.user_effort.effort_level);
-        }
+        res.json({ success: true, datasetId: req.params.datasetId, deletedSessions: deletedCount });
+    } catch (error) {
+        console.error('❌ Gold label set deletion failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Agreement between the judge and the gold labels of ?datasetId= and/or reviewed sessions (?reviews=true).
+// The judge's labels come from ?jobId= or else the latest stored analysis of each session.
+app.get('/api/judge-agreement', async (req, res) => {
+    const { datasetId, jobId } = req.query;
+    const includeReviews = req.query.reviews === 'true';
+    const fields = req.query.fields ? String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean) : AGREEMENT_FIELDS;
+    
+    if (!datasetId && !includeReviews) {
+        return res.status(400).json({ error: 'Either datasetId or reviews=true is required' });
+    }
+    const unknownFields = fields.filter(field => !AGREEMENT_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        return res.status(400).json({ error: `Unknown or non-categorical field(s): ${unknownFields.join(', ')} (allowed: ${AGREEMENT_FIELDS.join(', ')})` });
+    }
+    
+    try {
+        const db = await getDatabase();
         
-        // Accuracy levels
-        if (analysis.accuracy_level) {
-            const accuracy = analysis.accuracy_level.toLowerCase();
-            stats.accuracy_levels[accuracy] = (stats.accuracy_levels[accuracy] || 0) + 1;
+        // Ground truth per session. Imported labels win over reviews of the same session.
+        const gold = new Map();
+        if (includeReviews) {
+            // A reviewer saw every label: the ones not overridden count as confirmed
+            const reviews = await db.collection(SESSION_REVIEWS_COLLECTION)
+                .find({ status: 'reviewed' }, { projection: { _id: 0, sessionId: 1, overrides: 1 } })
+                .toArray();
+            reviews.forEach(review => gold.set(review.sessionId, { source: 'review', overrides: review.overrides }));
         }
-        
-        // Issue resolution
-        if (analysis.issue_status?.status) {
-            const status = analysis.issue_status.status.toLowerCase();
-            stats.issue_resolution[status] = (stats.issue_resolution[status] || 0) + 1;
+        if (datasetId) {
+            const entries = await db.collection(GOLD_LABELS_COLLECTION).find({ datasetId }, { projection: { _id: 0 } }).toArray();
+            if (entries.length === 0 && !includeReviews) {
+                return res.status(404).json({ success: false, error: 'Gold label set not found' });
+            }
+            entries.forEach(entry => gold.set(entry.sessionId, { source: 'dataset', labels: entry.labels, totalScore: entry.totalScore }));
         }
         
-        // Human escalation
-        if (analysis.human_escalation?.is_escalated) {
-            const escalated = analysis.human_escalation.is_escalated.toLowerCase();
-            stats.human_escalation[escalated] = (stats.human_escalation[escalated] || 0) + 1;
+        let judgeResults;
+        if (jobId) {
+            if (!await getAnalysisJob(jobId)) {
+                return res.status(404).json({ success: false, error: 'Analysis job not found' });
+            }
+            const results = await getAnalysisJobResults(jobId, { applyOverrides: false });
+            judgeResults = new Map(results.filter(result => gold.has(result.sessionId)).map(result => [result.sessionId, result]));
+        } else {
+            judgeResults = await getLatestSessionAnalyses([...gold.keys()], { applyOverrides: false });
         }
         
-        // NEW: Overall response quality distribution
-        if (analysis.response_quality?.overall_quality_score) {
-            const quality = analysis.response_quality.overall_quality_score.toLowerCase();
-            stats.overall_response_quality[quality] = (stats.overall_response_quality[quality] || 0) + 1;
+        const rubrics = createRubricCache();
+        const items = [];
+        for (const [sessionId, truth] of gold) {
+            const judged = judgeResults.get(sessionId);
+            if (!judged?.analysis) {
+                continue;
+            }
+            
+            // Gold analysis: the judge's analysis with the human labels on top
+            const goldAnalysis = JSON.parse(JSON.stringify(judged.analysis));
+            (truth.labels || truth.overrides).forEach(({ field, value }) => setFieldValue(goldAnalysis, field, value));
+            const goldLabels = truth.source === 'review'
+                ? Object.fromEntries(AGREEMENT_FIELDS.map(field => [field, getFieldValue(goldAnalysis, field)]))
+                : Object.fromEntries(truth.labels.map(({ field, value }) => [field, value]));
+            
+            const rubric = await rubrics.get(judged.score?.rubric);
+            items.push({
+                sessionId,
+                gold: goldLabels,
+                judge: judged.analysis,
+                goldScore: truth.totalScore ?? calculateSessionScore(goldAnalysis, rubric).totalScore,
+                judgeScore: judged.score?.totalScore
+            });
         }
         
-        // NEW: Escalation necessity distribution
-        if (analysis.escalation_necessity?.was_escalation_necessary) {
-            const necessity = analysis.escalation_necessity.was_escalation_necessary.toLowerCase();
-            stats.escalation_necessity[necessity] = (stats.escalation_necessity[necessity] || 0) + 1;
-        }
+        const unmatchedSessions = [...gold.keys()].filter(sessionId => !judgeResults.get(sessionId)?.analysis);
         
-        // NEW: Performance distribution (latency classification)
-        if (analysis.overall_latency_classification) {
-            const performance = analysis.overall_latency_classification.toLowerCase();
-            stats.performance_classification[performance] = (stats.performance_classification[performance] || 0) + 1;
+        res.json({
+            success: true,
+            gold: {
+                datasetId: datasetId || null,
+                reviews: includeReviews,
+                sessionCount: gold.size
+            },
+            judge: jobId ? { jobId } : { source: 'latest stored analyses' },
+            matchedSessions: items.length,
+            unmatchedSessions: { count: unmatchedSessions.length, sessionIds: unmatchedSessions.slice(0, 50) },
+            ...calculateJudgeAgreement(items, fields)
+        });
+    } catch (error) {
+        console.error('❌ Judge agreement failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// A/B experiments - the same sessions analyzed by two evaluator configurations ("arms"),
+// each run as a regular analysis job, then compared session by session. The arms' stored
+// analyses are tagged with the experiment id and stay out of trends, reports and the other
+// "latest analysis" views unless those are called with includeExperiments=true.
+const EXPERIMENTS_COLLECTION = 'experiments';
+// Sampling applies once, when the experiment picks its sessions; the arms get the pinned ids
+const SAMPLING_BODY_FIELDS = ['limit', 'marginOfError', 'sampling', 'stratifyBy', 'confidenceLevel', 'seed'];
+const DEFAULT_DIVERGENCE_COUNT = 10;
+
+// Validates the two arms. Throws a message suitable for a 400.
+function resolveExperimentArms(body) {
+    if (!Array.isArray(body.arms) || body.arms.length !== 2) {
+        throw new Error('arms must be an array of exactly two { name, evaluator, evaluatorConfig } objects');
+    }
+    
+    const arms = body.arms.map((arm, i) => {
+        const name = arm?.name || ['A', 'B'][i];
+        if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name)) {
+            throw new Error(`arms[${i}].name must be a string of letters, digits, "-" or "_"`);
         }
-        
-        // NEW: Response components distribution
-        if (analysis.response_quality) {
-            const components = ['is_clear', 'is_concise', 'is_easy_to_understand', 'is_relevant'];
-            components.forEach(component => {
-                if (analysis.response_quality[component]) {
-                    const value = analysis.response_quality[component].toLowerCase();
-                    stats.response_components[component][value] = (stats.response_components[component][value] || 0) + 1;
-                }
+        let evaluatorOptions;
+        try {
+            evaluatorOptions = resolveEvaluatorOptions({
+                evaluator: arm.evaluator || body.evaluator,
+                evaluatorConfig: arm.evaluatorConfig || {}
             });
+        } catch (error) {
+            throw new Error(`arms[${i}]: ${error.message}`);
         }
+        return { name, ...evaluatorOptions, evaluatorInfo: getEvaluatorInfo(evaluatorOptions) };
     });
     
-    // Convert counts to percentages and calculate averages
-    const convertToPercentages = (obj) => {
-        const result = {};
-        Object.keys(obj).forEach(key => {
-            result[key] = Math.round((obj[key] / totalSessions) * 100);
-        });
-        return result;
-    };
+    if (arms[0].name === arms[1].name) {
+        throw new Error('The two arms need different names');
+    }
+    // Identical versions would share cached analyses and compare a judge with itself
+    if (JSON.stringify(arms[0].evaluatorInfo) === JSON.stringify(arms[1].evaluatorInfo)) {
+        throw new Error('The two arms must use different workflow ids or evaluator versions');
+    }
+    return arms;
+}
+
+// Compares the arms on the sessions both analyzed: per-field disagreement (A's label as rows,
+// B's as columns), per-session score deltas (B - A) and aggregateStats for each arm
+function compareExperimentArms(resultsA, resultsB, { fields = AGREEMENT_FIELDS, divergenceCount = DEFAULT_DIVERGENCE_COUNT } = {}) {
+    const byId = new Map(resultsB.map(result => [result.sessionId, result]));
+    const paired = resultsA.filter(result => byId.has(result.sessionId)).map(result => ({ a: result, b: byId.get(result.sessionId) }));
+    const round = value => Math.round(value * 100) / 100;
+    const labelOf = (result, field) => getFieldValue(result.analysis, field) ?? MISSING_LABEL;
     
-    // Convert response components to percentages
-    const convertResponseComponentsToPercentages = (componentsObj) => {
-        const result = {};
-        Object.keys(componentsObj).forEach(component => {
-            result[component] = convertToPercentages(componentsObj[component]);
-        });
-        return result;
-    };
+    const sessionDeltas = paired.map(({ a, b }) => {
+        const scoreA = a.score?.totalScore ?? 0;
+        const scoreB = b.score?.totalScore ?? 0;
+        return {
+            sessionId: a.sessionId,
+            scoreA,
+            scoreB,
+            delta: round(scoreB - scoreA),
+            differingFields: fields.filter(field => labelOf(a, field) !== labelOf(b, field))
+        };
+    });
     
-    return {
-        average_chat_completion_rate: convertToPercentages(stats.chat_completion),
-        average_user_sentiment_distribution: convertToPercentages(stats.user_sentiment),
-        average_bot_tone_distribution: convertToPercentages(stats.bot_tone),
-        average_anydesk_required: convertToPercentages(stats.anydesk_required),
-        average_user_experience_level: stats.user_experience_levels.length > 0 
-            ? Math.round((stats.user_experience_levels.reduce((a, b) => a + b, 0) / stats.user_experience_levels.length) * 100) / 100 
-            : 0,
-        average_user_effort_level: stats.user_effort_levels.length > 0 
-            ? Math.round((stats.user_effort_levels.reduce((a, b) => a + b, 0) / stats.user_effort_levels.length) * 100) / 100 
-            : 0,
-        average_response_accuracy: convertToPercentages(stats.accuracy_levels),
-        average_issue_resolution_rate: convertToPercentages(stats.issue_resolution),
-        average_human_escalation_rate: convertToPercentages(stats.human_escalation),
-        overall_response_quality_distribution: convertToPercentages(stats.overall_response_quality),
-        escalation_necessity_distribution: convertToPercentages(stats.escalation_necessity),
-        performance_distribution: convertToPercentages(stats.performance_classification),
-        response_components_distribution: convertResponseComponentsToPercentages(stats.response_components)
-    };
-}
-
-// Main analysis endpoint - Updated to process ALL sessions
-app.post('/api/analyze-conversations', async (req, res) => {
-    const { fromDate, toDate } = req.body;
+    const fieldDisagreement = {};
+    fields.forEach(field => {
+        // Sessions where neither arm produced the field say nothing about it
+        const pairs = paired
+            .map(({ a, b }) => ({ gold: getFieldValue(a.analysis, field), predicted: getFieldValue(b.analysis, field) }))
+            .filter(pair => (pair.gold ?? pair.predicted) !== undefined && (pair.gold ?? pair.predicted) !== null);
+        const vocabulary = ANALYSIS_SCHEMA[field].type === 'boolean' ? [true, false] : (ANALYSIS_FIELD_VOCABULARY[field] || []);
+        const { sessionCount, kappa, agreement, confusionMatrix } = calculateFieldAgreement(pairs, vocabulary);
+        const disagreements = sessionDeltas.filter(entry => entry.differingFields.includes(field)).length;
+        fieldDisagreement[field] = {
+            comparedSessions: sessionCount,
+            disagreements,
+            disagreementRate: sessionCount > 0 ? round(disagreements / sessionCount * 100) : null,
+            kappa,
+            agreement,
+            confusionMatrix
+        };
+    });
+    const deltas = sessionDeltas.map(entry => entry.delta);
+    const pairedA = paired.map(({ a }) => a);
+    const pairedB = paired.map(({ b }) => b);
     
-    console.log('🚀 Starting conversation analysis...');
-    console.log('- From date:', fromDate);
-    console.log('- To date:', toDate);
+    return {
+        pairedSessions: paired.length,
+        fieldDisagreement,
+        scoreDelta: {
+            meanDelta: deltas.length > 0 ? round(deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length) : null,
+            meanAbsoluteDelta: deltas.length > 0 ? round(deltas.reduce((sum, delta) => sum + Math.abs(delta), 0) / deltas.length) : null,
+            maxAbsoluteDelta: deltas.length > 0 ? Math.max(...deltas.map(Math.abs)) : null
+        },
+        sessionDeltas,
+        // Biggest score gap first, then the most fields labelled differently
+        largestDivergences: [...sessionDeltas]
+            .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta) || y.differingFields.length - x.differingFields.length)
+            .slice(0, divergenceCount),
+        arms: {
+            A: { overallScore: calculateOverallScore(pairedA), aggregateStats: calculateAggregateStats(pairedA) },
+            B: { overallScore: calculateOverallScore(pairedB), aggregateStats: calculateAggregateStats(pairedB) }
+        }
+    };
+}
+
+function getExperimentStatus(jobs) {
+    if (jobs.some(job => !job || !FINISHED_JOB_STATUSES.includes(job.status))) {
+        return 'running';
+    }
+    return jobs.every(job => job.status === 'completed') ? 'completed' : 'incomplete';
+}
+
+// Start an experiment. Takes the usual date range, filter, sampling and run options plus
+// arms: [{ name, evaluator, evaluatorConfig }, { ... }].
+app.post('/api/experiments', requireRole('analyst'), async (req, res) => {
+    const { fromDate, toDate, name } = req.body;
     
     if (!fromDate || !toDate) {
-        console.log('❌ Missing date parameters');
-        return res.status(400).json({ 
-            error: 'Both fromDate and toDate are required' 
-        });
+        return res.status(400).json({ error: 'Both fromDate and toDate are required' });
     }
     
+    let arms;
+    let filter;
     try {
-        // Step 1: Get chat sessions from MongoDB
-        console.log('📋 Step 1: Fetching chat sessions from MongoDB...');
-        const sessions = await getChatSessions(fromDate, toDate);
-        
-        if (sessions.length === 0) {
-            console.log('ℹ️ No sessions found for date range');
-            const response = {
-                success: true,
-                message: 'No sessions found for the specified date range',
-                data: {
-                    totalSessions: 0,
-                    processedSessions: 0,
-                    failedSessions: 0,
-                    analysisResults: [],
-                    executionTime: 0,
-                    overallScore: 0,
-                    aggregateStats: calculateAggregateStats([])
-                }
-            };
-            console.log('📤 Sending response:', JSON.stringify(response, null, 2));
-            return res.json(response);
+        arms = resolveExperimentArms(req.body);
+        filter = resolveSessionFilter(req.body);
+        resolveRunOptions({ ...req.body, evaluator: arms[0].evaluator, evaluatorConfig: arms[0].evaluatorConfig });
+    } catch (error) {
+        console.log('❌ Invalid experiment:', error.message);
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        // Both arms must see exactly the same sessions, so the sample is drawn once and pinned
+        const { sessions, populationSize } = await getChatSessionSample(fromDate, toDate, filter);
+        const sessionIds = sessions.map(getSessionId).filter(Boolean);
+        if (sessionIds.length === 0) {
+            return res.status(400).json({ error: 'No sessions match the date range and filter' });
+        }
+        if (sessionIds.length > MAX_FILTER_SESSION_IDS) {
+            return res.status(400).json({ error: `Experiments are limited to ${MAX_FILTER_SESSION_IDS} sessions - use limit or marginOfError to sample` });
         }
         
-        const startTime = Date.now();
-        console.log(`🔄 Processing ALL ${sessions.length} sessions...`);
-        
-        const analysisResults = [];
-        const failedSessions = [];
-        let processedCount = 0;
+        const experimentId = crypto.randomUUID();
+        const armBody = { ...req.body, sessionIds };
+        delete armBody.arms;
+        SAMPLING_BODY_FIELDS.forEach(field => delete armBody[field]);
         
-        // Process all sessions
-        for (let i = 0; i < sessions.length; i++) {
-            const session = sessions[i];
-            const sessionId = session._id?.toString() || session.id || session.session_id;
-            
-            if (!sessionId) {
-                console.log(`❌ No valid session ID found for session ${i}`);
-                failedSessions.push({ index: i, error: 'No valid session ID' });
-                continue;
-            }
-            
-            console.log(`🔄 Processing session ${i + 1}/${sessions.length}: ${sessionId}`);
-            
-            try {
-                const rawResult = await analyzeSession(sessionId);
-                const normalizedResult = normalizeAnalysisResult(rawResult);
-                
-                const sessionScore = calculateSessionScore(normalizedResult);
-                
-                analysisResults.push({
-                    sessionId: sessionId,
-                    analysis: normalizedResult,
-                    score: sessionScore,
-                    timestamp: new Date()
-                });
-                
-                processedCount++;
-                console.log(`✅ Session ${sessionId} processed successfully (Score: ${sessionScore.totalScore})`);
-                
-            } catch (error) {
-                console.error(`❌ Failed to analyze session ${sessionId}:`, error.message);
-                failedSessions.push({ 
-                    sessionId, 
-                    error: error.message,
-                    index: i 
-                });
+        const startedArms = [];
+        try {
+            for (const arm of arms) {
+                const job = await startAnalysisJob(
+                    fromDate,
+                    toDate,
+                    { ...armBody, evaluator: arm.evaluator, evaluatorConfig: arm.evaluatorConfig },
+                    { type: 'experiment', experimentId, arm: arm.name, requestedBy: req.auth.name },
+                    req.auth
+                );
+                startedArms.push({ ...arm, jobId: job.jobId });
             }
-            
-            // Add a small delay to prevent overwhelming the API
-            if (i < sessions.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
+        } catch (error) {
+            // Don't leave half an experiment running
+            for (const arm of startedArms) {
+                await requestJobAction(await getAnalysisJob(arm.jobId), 'cancel');
             }
+            throw error;
         }
         
-        const endTime = Date.now();
-        const executionTime = Math.round((endTime - startTime) / 1000);
+        const experiment = {
+            experimentId,
+            name: name || `${arms[0].name} vs ${arms[1].name}`,
+            fromDate,
+            toDate,
+            filter,
+            populationSize,
+            sessionCount: sessionIds.length,
+            arms: startedArms,
+            createdBy: req.auth.name,
+            createdAt: new Date()
+        };
+        const db = await getDatabase();
+        await db.collection(EXPERIMENTS_COLLECTION).insertOne(experiment);
+        console.log(`🧪 Started experiment ${experimentId}: ${startedArms.map(arm => `${arm.name} (${arm.jobId})`).join(' vs ')} on ${sessionIds.length} sessions`);
         
-        // Calculate overall score from processed sessions
-        const totalScore = analysisResults.reduce((sum, result) => sum + result.score.totalScore, 0);
-        const overallScore = analysisResults.length > 0 ? totalScore / analysisResults.length : 0;
+        res.status(202).json({
+            success: true,
+            message: 'Experiment started',
+            experimentId,
+            sessionCount: sessionIds.length,
+            arms: startedArms.map(({ name: armName, jobId, evaluatorInfo }) => ({ name: armName, jobId, ...evaluatorInfo })),
+            statusUrl: `/api/experiments/${experimentId}`
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('❌ Starting experiment failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/experiments', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    
+    try {
+        const db = await getDatabase();
+        const experiments = await db.collection(EXPERIMENTS_COLLECTION)
+            .find({}, { projection: { _id: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
         
-        // Calculate aggregate statistics
-        const aggregateStats = calculateAggregateStats(analysisResults);
+        res.json({ success: true, experiments });
+    } catch (error) {
+        console.error('❌ Listing experiments failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Progress of both arms and the comparison so far (final once both jobs have finished)
+app.get('/api/experiments/:experimentId', async (req, res) => {
+    const divergenceCount = Math.min(parseInt(req.query.top, 10) || DEFAULT_DIVERGENCE_COUNT, 100);
+    
+    try {
+        const db = await getDatabase();
+        const experiment = await db.collection(EXPERIMENTS_COLLECTION).findOne({ experimentId: req.params.experimentId }, { projection: { _id: 0 } });
+        if (!experiment) {
+            return res.status(404).json({ success: false, error: 'Experiment not found' });
+        }
         
-        console.log('✅ Analysis completed');
-        console.log(`- Total sessions: ${sessions.length}`);
-        console.log(`- Processed: ${processedCount}`);
-        console.log(`- Failed: ${failedSessions.length}`);
-        console.log(`- Execution time: ${executionTime}s`);
-        console.log(`- Overall score: ${overallScore.toFixed(2)}`);
+        const jobs = await Promise.all(experiment.arms.map(arm => getAnalysisJob(arm.jobId)));
+        // The judges' own labels are compared, not reviewer corrections
+        const [resultsA, resultsB] = await Promise.all(experiment.arms.map(arm => getAnalysisJobResults(arm.jobId, { applyOverrides: false })));
+        const comparison = compareExperimentArms(resultsA, resultsB, { divergenceCount });
         
-        const response = {
+        res.json({
             success: true,
-            message: `Analysis completed: ${processedCount}/${sessions.length} sessions processed`,
-            data: {
-                totalSessions: sessions.length,
-                processedSessions: processedCount,
-                failedSessions: failedSessions.length,
-                analysisResults: analysisResults,
-                executionTime: executionTime,
-                overallScore: Math.round(overallScore * 100) / 100,
-                aggregateStats: aggregateStats,
-                dateRange: {
-                    fromDate,
-                    toDate
-                },
-                failedSessionDetails: failedSessions
+            experimentId: experiment.experimentId,
+            name: experiment.name,
+            status: getExperimentStatus(jobs),
+            dateRange: { fromDate: experiment.fromDate, toDate: experiment.toDate },
+            sessionCount: experiment.sessionCount,
+            arms: experiment.arms.map((arm, i) => ({
+                name: arm.name,
+                jobId: arm.jobId,
+                ...arm.evaluatorInfo,
+                evaluatorConfig: arm.evaluatorConfig,
+                status: jobs[i]?.status || null,
+                progress: jobs[i] ? getJobProgress(jobs[i]) : null,
+                failedSessions: jobs[i]?.failedSessions || 0
+            })),
+            comparison: {
+                ...comparison,
+                // Keyed by arm name rather than position
+                arms: {
+                    [experiment.arms[0].name]: comparison.arms.A,
+                    [experiment.arms[1].name]: comparison.arms.B
+                }
             }
-        };
-        
-        console.log('📤 Sending successful response with aggregate stats');
-        res.json(response);
-        
+        });
     } catch (error) {
-        console.error('💥 Critical analysis failure:', error);
-        console.error('- Error stack:', error.stack);
-        
-        const response = {
-            success: false,
-            error: error.message,
-            details: 'Check server logs for more information',
-            debugInfo: {
-                stack: error.stack,
-                code: error.code
-            }
-        };
-        
-        console.log('📤 Sending critical error response:', JSON.stringify(response, null, 2));
-        res.status(500).json(response);
+        console.error('❌ Experiment lookup failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
@@ -759,12 +6543,22 @@ app.post('/api/session-count', async (req, res) => {
     
     console.log('📊 Session count requested for:', fromDate, 'to', toDate);
     
+    let filter;
+    try {
+        filter = resolveSessionFilter(req.body);
+    } catch (error) {
+        console.log('❌ Invalid session filter:', error.message);
+        return res.status(400).json({ error: error.message });
+    }
+    
     try {
-        const sessions = await getChatSessions(fromDate, toDate);
+        const { count, populationSize } = await countChatSessionSample(fromDate, toDate, filter);
         const response = {
             success: true,
-            count: sessions.length,
-            dateRange: { fromDate, toDate }
+            count,
+            ...(filter.sampling && { populationSize }),
+            dateRange: { fromDate, toDate },
+            filter
         };
         
         console.log('📤 Session count response:', JSON.stringify(response, null, 2));
@@ -782,64 +6576,104 @@ app.post('/api/session-count', async (req, res) => {
     }
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('🛑 Received SIGINT. Graceful shutdown...');
-    if (mongoClient) {
-        await mongoClient.close();
-        console.log('MongoDB connection closed.');
-    }
-    process.exit(0);
-});
+// Start server - only when run directly, so tests can require this file for its helpers
+function startServer() {
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('🛑 Received SIGINT. Graceful shutdown...');
+        await closeMongoDB();
+        process.exit(0);
+    });
 
-process.on('SIGTERM', async () => {
-    console.log('🛑 Received SIGTERM. Graceful shutdown...');
-    if (mongoClient) {
-        await mongoClient.close();
-        console.log('MongoDB connection closed.');
-    }
-    process.exit(0);
-});
+    process.on('SIGTERM', async () => {
+        console.log('🛑 Received SIGTERM. Graceful shutdown...');
+        await closeMongoDB();
+        process.exit(0);
+    });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
-    console.log('✅ Processing ALL sessions (debug mode removed)');
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
+        console.log('✅ Processing ALL sessions (debug mode removed)');
     
-    // Log environment status
-    const requiredEnvVars = [
-        'MONGODB_URI',
-        'WORKFLOW_API_URL', 
-        'WORKFLOW_ID',
-        'API_USERNAME',
-        'API_PASSWORD'
-    ];
+        // Log environment status
+        const requiredEnvVars = [
+            'MONGODB_URI',
+            'WORKFLOW_API_URL', 
+            'WORKFLOW_ID',
+            'API_USERNAME',
+            'API_PASSWORD'
+        ];
     
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+        const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
     
-    if (missingVars.length > 0) {
-        console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
-    } else {
-        console.log('✅ All required environment variables are set');
-    }
+        if (missingVars.length > 0) {
+            console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
+        } else {
+            console.log('✅ All required environment variables are set');
+        }
+    
+        console.log('📋 Environment configuration:');
+        console.log('- MongoDB URI:', process.env.MONGODB_URI ? '[SET]' : '[MISSING]');
+        console.log('- Workflow API URL:', process.env.WORKFLOW_API_URL ? '[SET]' : '[MISSING]');
+        console.log('- Workflow ID:', process.env.WORKFLOW_ID ? '[SET]' : '[MISSING]');
+        console.log('- Evaluator mode:', getEvaluatorMode());
+        console.log('- API Username:', process.env.API_USERNAME ? '[SET]' : '[MISSING]');
+        console.log('- API Password:', process.env.API_PASSWORD ? '[SET]' : '[MISSING]');
+        console.log('- API keys:', API_KEYS.size, '| JWT:', process.env.JWT_SECRET ? '[SET]' : '[NOT SET]');
+        console.log('- CORS origins:', CORS_ORIGINS.length > 0 ? CORS_ORIGINS.join(', ') : '[NONE]');
+        if (AUTH_DISABLED) {
+            console.warn('⚠️  AUTH_DISABLED=true - every /api route is open to anyone');
+        } else if (API_KEYS.size === 0 && !process.env.JWT_SECRET) {
+            console.warn('⚠️  No API_KEYS or JWT_SECRET configured - all authenticated routes will reject requests');
+        }
+        if (CORS_ORIGINS.length === 0) {
+            console.warn('⚠️  CORS_ORIGINS is empty - browsers on other origins cannot call the API');
+        }
     
-    console.log('📋 Environment configuration:');
-    console.log('- MongoDB URI:', process.env.MONGODB_URI ? '[SET]' : '[MISSING]');
-    console.log('- Workflow API URL:', process.env.WORKFLOW_API_URL ? '[SET]' : '[MISSING]');
-    console.log('- Workflow ID:', process.env.WORKFLOW_ID ? '[SET]' : '[MISSING]');
-    console.log('- API Username:', process.env.API_USERNAME ? '[SET]' : '[MISSING]');
-    console.log('- API Password:', process.env.API_PASSWORD ? '[SET]' : '[MISSING]');
+        console.log('📊 New Scoring Formula Applied:');
+        console.log('- Primary Business Metrics: 70% weight');
+        console.log('- Response Quality Metrics: 20% weight');
+        console.log('- User Satisfaction Indicators: 10% weight');
+        console.log('- Bonus/Penalty factors included');
     
-    console.log('📊 New Scoring Formula Applied:');
-    console.log('- Primary Business Metrics: 70% weight');
-    console.log('- Response Quality Metrics: 20% weight');
-    console.log('- User Satisfaction Indicators: 10% weight');
-    console.log('- Bonus/Penalty factors included');
+        console.log('📈 Additional Distributions Included:');
+        console.log('- Overall Response Quality Distribution');
+        console.log('- Escalation Necessity Distribution');
+        console.log('- Performance Distribution (Latency)');
+        console.log('- Response Components Distribution');
     
-    console.log('📈 Additional Distributions Included:');
-    console.log('- Overall Response Quality Distribution');
-    console.log('- Escalation Necessity Distribution');
-    console.log('- Performance Distribution (Latency)');
-    console.log('- Response Components Distribution');
-});
+        ensureIndexes().then(failedCollections => {
+            startSchedulerWhenIndexed(failedCollections);
+            return resumeInterruptedJobs();
+        });
+    });
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    app,
+    startServer,
+    closeMongoDB,
+    getSessionMessages,
+    analyzeSession,
+    normalizeAnalysisResult,
+    normalizeAnalysisWithReport,
+    calculateSessionScore,
+    computeTranscriptMetrics,
+    checkLatencyClassification,
+    explainScoreComponents,
+    resolveReviewOverrides,
+    applyReviewOverrides,
+    getStoredAnalysesInRange,
+    calculateFieldAgreement,
+    calculateJudgeAgreement,
+    parseCsv,
+    compareExperimentArms,
+    calculateAggregateStats,
+    calculateOverallScore,
+    DEFAULT_SCORING_RUBRIC
+};
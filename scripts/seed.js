@@ -0,0 +1,96 @@
+// Loads sample chat sessions into MongoDB for local development.
+//
+//   npm run seed                    seeds MONGODB_URI / MONGODB_DATABASE (from .env)
+//   npm run seed -- --memory        starts an in-memory MongoDB, seeds it and keeps it running
+//   npm run seed -- --drop          clears chat_sessions first
+//   npm run seed -- --file <path>   seeds another Extended JSON file instead of fixtures/chat_sessions.json
+//
+// Combine with EVALUATOR_MODE=mock to run analyses against the recorded fixtures.
+const path = require('path');
+const fs = require('fs');
+const { MongoClient, BSON } = require('mongodb');
+require('dotenv').config();
+
+const CHAT_SESSIONS_COLLECTION = 'chat_sessions';
+
+function parseArgs(argv) {
+    const args = { memory: false, drop: false, file: path.join(__dirname, '..', 'fixtures', 'chat_sessions.json') };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--memory') {
+            args.memory = true;
+        } else if (argv[i] === '--drop') {
+            args.drop = true;
+        } else if (argv[i] === '--file') {
+            args.file = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+// Fixture files are Extended JSON so ObjectIds and dates keep their types
+function loadSessions(file) {
+    const sessions = BSON.EJSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(sessions)) {
+        throw new Error(`${file} must contain an array of chat sessions`);
+    }
+    return sessions;
+}
+
+async function seed(uri, databaseName, sessions, { drop }) {
+    const client = new MongoClient(uri);
+    await client.connect();
+    try {
+        const collection = client.db(databaseName).collection(CHAT_SESSIONS_COLLECTION);
+        if (drop) {
+            const { deletedCount } = await collection.deleteMany({});
+            console.log(`🗑️ Removed ${deletedCount} existing sessions`);
+        }
+
+        // Upserts by _id, so seeding twice doesn't duplicate sessions
+        const operations = sessions.map(session => session._id
+            ? { replaceOne: { filter: { _id: session._id }, replacement: session, upsert: true } }
+            : { insertOne: { document: session } });
+        const result = await collection.bulkWrite(operations);
+        console.log(`🌱 Seeded ${sessions.length} sessions into ${databaseName}.${CHAT_SESSIONS_COLLECTION} (${result.upsertedCount + result.insertedCount} new)`);
+    } finally {
+        await client.close();
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const sessions = loadSessions(args.file);
+    const databaseName = process.env.MONGODB_DATABASE || 'fraiday-backend';
+
+    if (!args.memory) {
+        if (!process.env.MONGODB_URI) {
+            throw new Error('MONGODB_URI is not set (use --memory for a throwaway in-memory database)');
+        }
+        await seed(process.env.MONGODB_URI, databaseName, sessions, args);
+        return;
+    }
+
+    // Dev dependency, only needed for --memory
+    const { MongoMemoryServer } = require('mongodb-memory-server-core');
+    const server = await MongoMemoryServer.create();
+    const uri = server.getUri();
+    await seed(uri, databaseName, sessions, args);
+
+    console.log(`🧪 In-memory MongoDB running at ${uri}`);
+    console.log(`   Start the API with: MONGODB_URI=${uri} EVALUATOR_MODE=mock node index.js`);
+    console.log('   Press Ctrl+C to stop (the data is discarded).');
+
+    const stop = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateAggregateStats, calculateOverallScore } = require('../index');
+
+const result = analysis => ({ analysis });
+
+test('converts counts to percentages of all sessions', () => {
+    const stats = calculateAggregateStats([
+        result({ is_chat_completed: 'yes', issue_status: { status: 'resolved' }, user_sentiment: { sentiment: 'positive' } }),
+        result({ is_chat_completed: 'yes', issue_status: { status: 'resolved' }, user_sentiment: { sentiment: 'neutral' } }),
+        result({ is_chat_completed: 'yes', issue_status: { status: 'unresolved' }, user_sentiment: { sentiment: 'positive' } }),
+        result({ is_chat_completed: 'no' })
+    ]);
+
+    assert.deepEqual(stats.average_chat_completion_rate, { yes: 75, no: 25 });
+    assert.deepEqual(stats.average_issue_resolution_rate, { resolved: 50, unresolved: 25 });
+    assert.deepEqual(stats.average_user_sentiment_distribution, { positive: 50, neutral: 25 });
+});
+
+test('averages levels over the sessions that have them', () => {
+    const stats = calculateAggregateStats([
+        result({ user_experience: { experience_level: 5 }, user_effort: { effort_level: 1 } }),
+        result({ user_experience: { experience_level: 2 }, user_effort: { effort_level: 2 } }),
+        result({ user_experience: { experience_level: 4 } })
+    ]);
+
+    assert.equal(stats.average_user_experience_level, 3.67);
+    assert.equal(stats.average_user_effort_level, 1.5);
+});
+
+test('counts response components and the AnyDesk flag', () => {
+    const stats = calculateAggregateStats([
+        result({ response_quality: { is_clear: 'yes', is_relevant: 'no' }, conversation_quality: { is_anydesk_required: true } }),
+        result({ response_quality: { is_clear: 'no', is_relevant: 'no' }, conversation_quality: { is_anydesk_required: false } })
+    ]);
+
+    assert.deepEqual(stats.response_components_distribution.is_clear, { yes: 50, no: 50 });
+    assert.deepEqual(stats.response_components_distribution.is_relevant, { yes: 0, no: 100 });
+    assert.deepEqual(stats.response_components_distribution.is_concise, { yes: 0, no: 0 });
+    assert.deepEqual(stats.average_anydesk_required, { true: 50, false: 50 });
+});
+
+test('returns empty distributions when there are no results', () => {
+    const stats = calculateAggregateStats([]);
+
+    assert.deepEqual(stats.average_chat_completion_rate, { yes: 0, no: 0 });
+    assert.equal(stats.average_user_experience_level, 0);
+    assert.equal(calculateOverallScore([]), 0);
+});
+
+test('averages the overall score to 2 decimals', () => {
+    const overallScore = calculateOverallScore([
+        { score: { totalScore: 100 } },
+        { score: { totalScore: 86.05 } },
+        { score: { totalScore: 0 } }
+    ]);
+
+    assert.equal(overallScore, 62.02);
+});
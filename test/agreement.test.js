@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+test.mock.method(console, 'log', () => {});
+
+const { calculateFieldAgreement, calculateJudgeAgreement, parseCsv } = require('../index');
+
+const toPairs = (gold, predicted) => gold.map((label, i) => ({ gold: label, predicted: predicted[i] }));
+
+test('builds the confusion matrix and Cohen\'s kappa for one field', () => {
+    const agreement = calculateFieldAgreement(toPairs(['yes', 'yes', 'yes', 'no', 'no'], ['yes', 'yes', 'no', 'no', 'yes']), ['yes', 'no']);
+
+    assert.deepEqual(agreement.confusionMatrix, { yes: { yes: 2, no: 1 }, no: { yes: 1, no: 1 } });
+    assert.equal(agreement.accuracy, 0.6);
+    // p_o = 0.6, p_e = (3*3 + 2*2) / 25 = 0.52
+    assert.equal(agreement.kappa, 0.1667);
+    assert.equal(agreement.agreement, 'slight');
+    assert.deepEqual(agreement.perClass.find(entry => entry.label === 'yes'), { label: 'yes', support: 3, predicted: 3, precision: 0.6667, recall: 0.6667, f1: 0.6667 });
+});
+
+test('counts labels the judge left out as their own class', () => {
+    const agreement = calculateFieldAgreement(toPairs(['resolved', 'unresolved'], ['resolved', undefined]), ['resolved', 'unresolved']);
+
+    assert.equal(agreement.confusionMatrix.unresolved['(missing)'], 1);
+    assert.deepEqual(agreement.perClass.find(entry => entry.label === 'unresolved'), { label: 'unresolved', support: 1, predicted: 0, precision: null, recall: 0, f1: null });
+    assert.equal(agreement.accuracy, 0.5);
+});
+
+test('perfect agreement gives kappa 1, a single shared label leaves it undefined', () => {
+    assert.equal(calculateFieldAgreement(toPairs(['yes', 'no'], ['yes', 'no'])).kappa, 1);
+    assert.equal(calculateFieldAgreement(toPairs(['yes', 'yes'], ['yes', 'yes'])).kappa, null);
+    assert.equal(calculateFieldAgreement([]).accuracy, null);
+});
+
+test('compares only the fields a session has gold labels for, and the score error', () => {
+    const judge = { issue_status: { status: 'unresolved' }, user_sentiment: { sentiment: 'neutral' } };
+    const result = calculateJudgeAgreement([
+        { sessionId: 'a', gold: { 'issue_status.status': 'resolved' }, judge, goldScore: 80, judgeScore: 55 },
+        { sessionId: 'b', gold: { 'issue_status.status': 'unresolved', 'user_sentiment.sentiment': 'neutral' }, judge, goldScore: 40, judgeScore: 45 }
+    ], ['issue_status.status', 'user_sentiment.sentiment']);
+
+    assert.equal(result.fields['issue_status.status'].sessionCount, 2);
+    assert.equal(result.fields['user_sentiment.sentiment'].sessionCount, 1);
+    assert.deepEqual(result.ranking.map(entry => entry.field), ['issue_status.status', 'user_sentiment.sentiment']);
+    assert.deepEqual(result.totalScore, { sessionCount: 2, meanAbsoluteError: 15, meanError: -10 });
+});
+
+test('parses quoted CSV fields and line endings', () => {
+    assert.deepEqual(parseCsv('sessionId,accuracy_level\r\n"a,1","partially ""correct"""\nb,wrong\n\n'), [
+        ['sessionId', 'accuracy_level'],
+        ['a,1', 'partially "correct"'],
+        ['b', 'wrong']
+    ]);
+});
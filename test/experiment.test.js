@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+test.mock.method(console, 'log', () => {});
+
+const { compareExperimentArms, calculateSessionScore } = require('../index');
+
+const result = (sessionId, analysis) => ({ sessionId, analysis, score: calculateSessionScore(analysis) });
+
+const resolved = { issue_status: { status: 'resolved' }, is_chat_completed: 'yes', accuracy_level: 'correct' };
+const unresolved = { issue_status: { status: 'unresolved' }, is_chat_completed: 'yes', accuracy_level: 'wrong' };
+
+const armA = [
+    result('s1', resolved),
+    result('s2', resolved),
+    result('s3', unresolved),
+    result('only-a', resolved)
+];
+const armB = [
+    result('s1', resolved),
+    result('s2', unresolved),
+    result('s3', { ...unresolved, accuracy_level: 'partially correct' }),
+    result('only-b', unresolved)
+];
+
+test('compares only the sessions both arms analyzed', () => {
+    const comparison = compareExperimentArms(armA, armB);
+
+    assert.equal(comparison.pairedSessions, 3);
+    assert.deepEqual(comparison.sessionDeltas.map(entry => entry.sessionId), ['s1', 's2', 's3']);
+});
+
+test('reports per-field disagreement rates', () => {
+    const { fieldDisagreement } = compareExperimentArms(armA, armB);
+
+    assert.equal(fieldDisagreement['issue_status.status'].comparedSessions, 3);
+    assert.equal(fieldDisagreement['issue_status.status'].disagreements, 1);
+    assert.equal(fieldDisagreement['issue_status.status'].disagreementRate, 33.33);
+    assert.equal(fieldDisagreement['issue_status.status'].confusionMatrix.resolved.unresolved, 1);
+    assert.equal(fieldDisagreement.accuracy_level.disagreements, 2);
+    assert.equal(fieldDisagreement.is_chat_completed.disagreementRate, 0);
+    // Neither arm produced it
+    assert.equal(fieldDisagreement['bot_tone.tone'].disagreementRate, null);
+});
+
+test('ranks the largest divergences by score delta', () => {
+    const comparison = compareExperimentArms(armA, armB, { divergenceCount: 2 });
+    const s2 = comparison.sessionDeltas.find(entry => entry.sessionId === 's2');
+
+    assert.equal(s2.delta, Math.round((s2.scoreB - s2.scoreA) * 100) / 100);
+    assert.ok(s2.delta < 0);
+    assert.deepEqual(s2.differingFields, ['accuracy_level', 'issue_status.status']);
+    assert.deepEqual(comparison.largestDivergences.map(entry => entry.sessionId), ['s2', 's3']);
+    assert.equal(comparison.sessionDeltas.find(entry => entry.sessionId === 's1').delta, 0);
+});
+
+test('aggregates each arm over the paired sessions', () => {
+    const { arms, scoreDelta } = compareExperimentArms(armA, armB);
+
+    assert.deepEqual(arms.A.aggregateStats.average_issue_resolution_rate, { resolved: 67, unresolved: 33 });
+    assert.deepEqual(arms.B.aggregateStats.average_issue_resolution_rate, { resolved: 33, unresolved: 67 });
+    assert.equal(scoreDelta.meanDelta, Math.round((arms.B.overallScore - arms.A.overallScore) * 100) / 100);
+    assert.ok(scoreDelta.meanAbsoluteDelta > 0);
+});
+
+test('an empty comparison has no deltas', () => {
+    const comparison = compareExperimentArms([], armB);
+
+    assert.equal(comparison.pairedSessions, 0);
+    assert.equal(comparison.scoreDelta.meanDelta, null);
+    assert.deepEqual(comparison.largestDivergences, []);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeAnalysisResult, normalizeAnalysisWithReport } = require('../index');
+
+test('lowercases enum values and maps synonyms', () => {
+    const analysis = normalizeAnalysisResult({
+        accuracy_level: 'Partial',
+        issue_status: { status: 'Not Resolved' },
+        human_escalation: { is_escalated: 'No' },
+        response_quality: { is_relevant: 'Y', overall_quality_score: 'Good' }
+    });
+
+    assert.equal(analysis.accuracy_level, 'partially correct');
+    assert.equal(analysis.issue_status.status, 'unresolved');
+    assert.equal(analysis.human_escalation.is_escalated, 'no');
+    assert.equal(analysis.response_quality.is_relevant, 'yes');
+    assert.equal(analysis.response_quality.overall_quality_score, 'good');
+});
+
+test('coerces booleans and numeric strings', () => {
+    const analysis = normalizeAnalysisResult({
+        is_chat_completed: true,
+        user_experience: { experience_level: '4' },
+        user_effort: { effort_level: 2 }
+    });
+
+    assert.equal(analysis.is_chat_completed, 'yes');
+    assert.equal(analysis.user_experience.experience_level, 4);
+    assert.equal(analysis.user_effort.effort_level, 2);
+});
+
+test('does not modify its input', () => {
+    const result = { accuracy_level: 'Correct' };
+    normalizeAnalysisResult(result);
+    assert.equal(result.accuracy_level, 'Correct');
+});
+
+test('reports missing fields, wrong types and unknown values', () => {
+    const { analysis, issues } = normalizeAnalysisWithReport({
+        accuracy_level: 'Mostly',
+        bot_tone: 'friendly',
+        user_experience: { experience_level: 'great' }
+    });
+    const issueFor = field => issues.find(issue => issue.field === field);
+
+    assert.equal(issueFor('accuracy_level').kind, 'unknown_value');
+    assert.equal(analysis.accuracy_level, 'mostly');
+    assert.equal(issueFor('bot_tone').kind, 'wrong_type');
+    assert.equal(analysis.bot_tone, undefined);
+    assert.equal(issueFor('user_experience.experience_level').kind, 'wrong_type');
+    assert.equal(issueFor('issue_status.status').kind, 'missing_field');
+    // Optional fields are not reported when absent
+    assert.equal(issueFor('conversation_quality.quality'), undefined);
+});
+
+test('rejects a result that is not an object', () => {
+    const { issues } = normalizeAnalysisWithReport('not json');
+    assert.deepEqual(issues, [{ field: null, kind: 'wrong_type', value: 'not json', expected: 'object' }]);
+});
@@ -0,0 +1,80 @@
+// End-to-end over the recorded fixtures: sample sessions -> mocked workflow
+// analyses -> normalization -> scores -> aggregate statistics
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { BSON } = require('mongodb');
+
+test.mock.method(console, 'log', () => {});
+
+process.env.EVALUATOR_MODE = 'mock';
+process.env.FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const {
+    analyzeSession,
+    normalizeAnalysisWithReport,
+    calculateSessionScore,
+    calculateAggregateStats,
+    calculateOverallScore
+} = require('../index');
+
+const sessions = BSON.EJSON.parse(fs.readFileSync(path.join(process.env.FIXTURES_DIR, 'chat_sessions.json'), 'utf8'));
+
+async function analyzeAll() {
+    const results = [];
+    for (const session of sessions) {
+        const { analysis, issues } = normalizeAnalysisWithReport(await analyzeSession(session, { evaluator: 'workflow' }));
+        results.push({ sessionId: session._id.toString(), analysis, score: calculateSessionScore(analysis), dataQualityIssues: issues });
+    }
+    return results;
+}
+
+test('answers every sample session from its fixture', async () => {
+    const results = await analyzeAll();
+
+    assert.equal(results.length, 4);
+    results.forEach(result => assert.ok(result.analysis.issue_status, `no analysis for ${result.sessionId}`));
+});
+
+test('scores the recorded analyses', async () => {
+    const scores = Object.fromEntries((await analyzeAll()).map(result => [result.sessionId.slice(-1), result.score.totalScore]));
+
+    assert.deepEqual(scores, { 1: 100, 2: 86.05, 3: 0, 4: 38.5 });
+});
+
+test('flags the data quality issues in the recorded analyses', async () => {
+    const [, second, , fourth] = await analyzeAll();
+
+    assert.ok(second.dataQualityIssues.some(issue => issue.field === 'accuracy_level' && issue.kind === 'synonym_mapped'));
+    assert.ok(second.dataQualityIssues.some(issue => issue.field === 'is_chat_completed' && issue.kind === 'coerced_type'));
+    assert.deepEqual(fourth.dataQualityIssues.filter(issue => issue.kind === 'missing_field').map(issue => issue.field), ['user_effort.effort_level']);
+});
+
+test('aggregates the recorded analyses', async () => {
+    const results = await analyzeAll();
+    const stats = calculateAggregateStats(results);
+
+    assert.equal(calculateOverallScore(results), 56.14);
+    assert.deepEqual(stats.average_chat_completion_rate, { yes: 75, no: 25 });
+    assert.deepEqual(stats.average_issue_resolution_rate, { resolved: 50, unresolved: 50 });
+    assert.deepEqual(stats.average_human_escalation_rate, { yes: 50, no: 50 });
+    assert.deepEqual(stats.average_response_accuracy, { correct: 50, 'partially correct': 25, wrong: 25 });
+    assert.deepEqual(stats.performance_distribution, { good: 50, average: 25, bad: 25 });
+    assert.deepEqual(stats.average_anydesk_required, { true: 25, false: 25 });
+    assert.equal(stats.average_user_experience_level, 3.5);
+    assert.equal(stats.average_user_effort_level, 2.67);
+});
+
+test('fails without retrying when a session has no fixture', async () => {
+    await assert.rejects(
+        analyzeSession({ _id: 'unknown-session' }, { evaluator: 'workflow' }),
+        error => error.errorClass === 'fixture_missing'
+    );
+});
+
+test('local evaluators ignore mock mode', async () => {
+    const analysis = await analyzeSession(sessions[0], { evaluator: 'rules' });
+
+    assert.equal(analysis.overall_latency_classification, 'good');
+});
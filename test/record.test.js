@@ -0,0 +1,91 @@
+// Record mode against a stand-in workflow API: the response is saved as a
+// fixture with secrets redacted, and mock mode then replays it
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+test.mock.method(console, 'log', () => {});
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-fixtures-'));
+process.env.FIXTURES_DIR = fixturesDir;
+process.env.API_USERNAME = 'dashboard';
+process.env.API_PASSWORD = 'hunter2-workflow-password';
+
+const { analyzeSession } = require('../index');
+
+const workflowResult = {
+    accuracy_level: 'correct',
+    issue_status: { status: 'resolved' },
+    debug: {
+        api_key: 'sk-live-0123456789',
+        trace: 'called with password hunter2-workflow-password',
+        tokens_used: 812
+    }
+};
+
+let server;
+let requests = [];
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: JSON.parse(body) });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ result: workflowResult }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.WORKFLOW_API_URL = `http://127.0.0.1:${server.address().port}/workflow`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+    requests = [];
+});
+
+const session = { _id: 'session-42' };
+const evaluatorConfig = { workflowId: 'wf-1', metadata: { team: 'support', authToken: 'abc123' } };
+
+test('record mode calls the API and returns its result unchanged', async () => {
+    process.env.EVALUATOR_MODE = 'record';
+    const result = await analyzeSession(session, { evaluator: 'workflow', evaluatorConfig });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.input_args.session_id, 'session-42');
+    assert.deepEqual(result, workflowResult);
+});
+
+test('recorded fixtures have secrets redacted', () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'workflow', 'session-42.json'), 'utf8'));
+
+    assert.equal(fixture.sessionId, 'session-42');
+    assert.equal(fixture.evaluator, 'workflow');
+    assert.equal(fixture.result.debug.api_key, '[REDACTED]');
+    assert.equal(fixture.result.debug.trace, 'called with password [REDACTED]');
+    assert.equal(fixture.result.debug.tokens_used, 812);
+    assert.deepEqual(fixture.config.metadata, { team: 'support', authToken: '[REDACTED]' });
+    assert.ok(!JSON.stringify(fixture).includes('hunter2'));
+});
+
+test('mock mode replays the recording without calling the API', async () => {
+    process.env.EVALUATOR_MODE = 'mock';
+    const result = await analyzeSession(session, { evaluator: 'workflow', evaluatorConfig });
+
+    assert.equal(requests.length, 0);
+    assert.equal(result.issue_status.status, 'resolved');
+    assert.equal(result.debug.api_key, '[REDACTED]');
+});
+
+test('rejects an unknown mode', async () => {
+    process.env.EVALUATOR_MODE = 'replay';
+    await assert.rejects(analyzeSession(session, { evaluator: 'workflow' }), /EVALUATOR_MODE must be one of/);
+});
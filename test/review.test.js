@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { BSON, MongoClient } = require('mongodb');
+const { MongoMemoryServer } = require('mongodb-memory-server-core');
+
+test.mock.method(console, 'log', () => {});
+
+process.env.EVALUATOR_MODE = 'mock';
+process.env.FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+process.env.API_KEYS = JSON.stringify([
+    { name: 'qa', key: 'analyst-key', role: 'analyst' },
+    { name: 'dashboard', key: 'viewer-key', role: 'viewer' }
+]);
+
+const {
+    app,
+    closeMongoDB,
+    resolveReviewOverrides,
+    applyReviewOverrides,
+    getStoredAnalysesInRange,
+    analyzeSession,
+    normalizeAnalysisWithReport,
+    calculateSessionScore,
+    calculateAggregateStats
+} = require('../index');
+
+const sessions = BSON.EJSON.parse(fs.readFileSync(path.join(process.env.FIXTURES_DIR, 'chat_sessions.json'), 'utf8'));
+const REVIEWED_SESSION_ID = '65a000000000000000000003';
+const CONTESTED_SESSION_ID = '65a000000000000000000002';
+
+let mongod = null;
+let client = null;
+let server = null;
+let baseUrl = null;
+let storedAnalyses = [];
+
+test.before(async () => {
+    try {
+        mongod = await MongoMemoryServer.create();
+    } catch (error) {
+        console.warn(`⚠️ In-memory MongoDB unavailable, skipping the database tests: ${error.message}`);
+        return;
+    }
+    process.env.MONGODB_URI = mongod.getUri();
+    client = await new MongoClient(mongod.getUri()).connect();
+    const db = client.db(process.env.MONGODB_DATABASE || 'fraiday-backend');
+    
+    for (const session of sessions) {
+        const { analysis } = normalizeAnalysisWithReport(await analyzeSession(session, { evaluator: 'workflow' }));
+        storedAnalyses.push({
+            sessionId: session._id.toString(),
+            sessionDate: session.createdAt,
+            analysis,
+            score: calculateSessionScore(analysis),
+            analyzedAt: new Date('2025-02-01T00:00:00Z')
+        });
+    }
+    await db.collection('session_analyses').insertMany([
+        ...storedAnalyses,
+        // Superseded by the analysis above, and one outside the range - neither may be counted
+        { ...storedAnalyses[0], analysis: { ...storedAnalyses[0].analysis, issue_status: { status: 'unresolved' } }, analyzedAt: new Date('2025-01-20T00:00:00Z') },
+        { ...storedAnalyses[0], sessionId: 'february-session', sessionDate: new Date('2025-02-10T00:00:00Z') }
+    ].map(stored => ({ ...stored })));
+    await db.collection('session_reviews').createIndex({ sessionId: 1 }, { unique: true });
+    await db.collection('session_reviews').insertOne({
+        sessionId: REVIEWED_SESSION_ID,
+        status: 'reviewed',
+        version: 1,
+        overrides: resolveReviewOverrides({ 'issue_status.status': 'resolved' })
+    });
+    
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    server?.close();
+    await closeMongoDB();
+    await client?.close();
+    await mongod?.stop();
+});
+
+// Needs a mongod binary, which mongodb-memory-server downloads on first use
+function databaseTest(name, fn) {
+    test(name, async t => {
+        if (!mongod) {
+            t.skip('in-memory MongoDB unavailable');
+            return;
+        }
+        await fn(t);
+    });
+}
+
+function postReview(sessionId, action, body, key = 'analyst-key') {
+    return fetch(`${baseUrl}/api/reviews/${sessionId}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+        body: JSON.stringify(body)
+    });
+}
+
+test('canonicalizes corrected values like the judge output', () => {
+    const overrides = resolveReviewOverrides({
+        'issue_status.status': 'Resolved',
+        'accuracy_level': 'partial',
+        'user_effort.effort_level': '2',
+        'conversation_quality.is_anydesk_required': 'no'
+    });
+
+    assert.deepEqual(overrides, [
+        { field: 'issue_status.status', value: 'resolved' },
+        { field: 'accuracy_level', value: 'partially correct' },
+        { field: 'user_effort.effort_level', value: 2 },
+        { field: 'conversation_quality.is_anydesk_required', value: false }
+    ]);
+});
+
+test('null reverts a field to the judge label', () => {
+    assert.deepEqual(resolveReviewOverrides({ 'user_sentiment.sentiment': null }), [{ field: 'user_sentiment.sentiment', value: null }]);
+});
+
+test('rejects unknown fields and values outside the vocabulary', () => {
+    assert.throws(() => resolveReviewOverrides({ 'issue_status.reason': 'x' }), /Unknown analysis field "issue_status.reason"/);
+    assert.throws(() => resolveReviewOverrides({ 'issue_status.status': 'maybe' }), /expected resolved, unresolved/);
+    assert.throws(() => resolveReviewOverrides({ 'user_experience.experience_level': 'great' }), /expected integer/);
+    assert.throws(() => resolveReviewOverrides({}), /overrides must be an object/);
+});
+
+databaseTest('applies overrides on a copy of the analysis and re-scores it', async () => {
+    const stored = storedAnalyses.find(result => result.sessionId === REVIEWED_SESSION_ID);
+    const [reviewed] = await applyReviewOverrides([stored]);
+
+    assert.equal(reviewed.analysis.issue_status.status, 'resolved');
+    assert.equal(stored.analysis.issue_status.status, 'unresolved');
+    assert.deepEqual(reviewed.review, {
+        overriddenFields: ['issue_status.status'],
+        originalValues: { 'issue_status.status': 'unresolved' },
+        originalScore: stored.score.totalScore
+    });
+    assert.ok(reviewed.score.totalScore > stored.score.totalScore);
+});
+
+databaseTest('aggregates the latest analyses in the range with overrides unless they are turned off', async () => {
+    const reviewed = await getStoredAnalysesInRange('2025-01-01', '2025-01-31');
+    const original = await getStoredAnalysesInRange('2025-01-01', '2025-01-31', { applyOverrides: false });
+
+    assert.deepEqual(reviewed.map(result => result.sessionId).sort(), sessions.map(session => session._id.toString()).sort());
+    assert.deepEqual(calculateAggregateStats(reviewed).average_issue_resolution_rate, { resolved: 75, unresolved: 25 });
+    assert.deepEqual(calculateAggregateStats(original).average_issue_resolution_rate, { resolved: 50, unresolved: 50 });
+});
+
+databaseTest('of two concurrent overrides on the same review version, one is rejected', async () => {
+    const responses = await Promise.all([
+        postReview(CONTESTED_SESSION_ID, 'overrides', { overrides: { accuracy_level: 'correct' }, comment: 'Answer matched the docs', version: 0 }),
+        postReview(CONTESTED_SESSION_ID, 'overrides', { overrides: { accuracy_level: 'wrong' }, comment: 'Answer was outdated', version: 0 })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+    const review = await client.db(process.env.MONGODB_DATABASE || 'fraiday-backend').collection('session_reviews').findOne({ sessionId: CONTESTED_SESSION_ID });
+    assert.equal(review.version, 1);
+    assert.equal(review.overrides.length, 1);
+    assert.equal(review.auditTrail.length, 1);
+});
+
+databaseTest('viewers cannot dispute a session', async () => {
+    const response = await postReview(REVIEWED_SESSION_ID, 'dispute', { comment: 'Looks wrong' }, 'viewer-key');
+
+    assert.equal(response.status, 403);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+test.mock.method(console, 'log', () => {});
+
+const { calculateSessionScore, explainScoreComponents, normalizeAnalysisResult, DEFAULT_SCORING_RUBRIC } = require('../index');
+
+const perfectAnalysis = {
+    accuracy_level: 'correct',
+    is_chat_completed: 'yes',
+    overall_latency_classification: 'good',
+    human_escalation: { is_escalated: 'no' },
+    issue_status: { status: 'resolved' },
+    escalation_necessity: { was_escalation_necessary: 'no' },
+    bot_tone: { tone: 'professional' },
+    user_sentiment: { sentiment: 'positive' },
+    user_experience: { experience_level: 5 },
+    user_effort: { effort_level: 1 },
+    response_quality: { is_clear: 'yes', is_concise: 'yes', is_easy_to_understand: 'yes', is_relevant: 'yes', overall_quality_score: 'excellent' }
+};
+
+test('a perfect session scores 100 with no penalties', () => {
+    const score = calculateSessionScore(perfectAnalysis);
+
+    assert.equal(score.totalScore, 100);
+    assert.equal(score.breakdown.issueResolution, 25);
+    assert.equal(score.breakdown.penalties, 0);
+    assert.deepEqual(score.rubric, { rubricId: 'default', version: 1 });
+});
+
+test('weights each component and applies the latency penalty', () => {
+    const score = calculateSessionScore(normalizeAnalysisResult({
+        ...perfectAnalysis,
+        accuracy_level: 'Partial',
+        overall_latency_classification: 'Average',
+        user_experience: { experience_level: '4' },
+        user_sentiment: { sentiment: 'Neutral' },
+        response_quality: { ...perfectAnalysis.response_quality, is_concise: 'no', overall_quality_score: 'Good' }
+    }));
+
+    // 25 + 20 + 15*0.8 + 10 + 8*0.75 + 7*0.5 + 5*0.75 + 5*0.7 + 3 + 2 - 2
+    assert.equal(score.breakdown.userExperience, 12);
+    assert.equal(score.breakdown.responseComponents, 3.75);
+    assert.equal(score.breakdown.penalties, -2);
+    assert.equal(score.totalScore, 86.75);
+});
+
+test('penalizes an unnecessary escalation and never goes below 0', () => {
+    const score = calculateSessionScore({
+        ...perfectAnalysis,
+        issue_status: { status: 'unresolved' },
+        human_escalation: { is_escalated: 'yes' },
+        escalation_necessity: { was_escalation_necessary: 'no' },
+        is_chat_completed: 'no',
+        user_experience: { experience_level: 1 },
+        response_quality: { is_clear: 'no', is_concise: 'no', is_easy_to_understand: 'no', is_relevant: 'no', overall_quality_score: 'poor' },
+        accuracy_level: 'wrong',
+        user_sentiment: { sentiment: 'frustrated' },
+        user_effort: { effort_level: 5 },
+        bot_tone: { tone: 'inappropriate' },
+        overall_latency_classification: 'bad'
+    });
+
+    assert.equal(score.breakdown.penalties, -15);
+    assert.equal(score.totalScore, 0);
+});
+
+test('missing fields score 0 and unknown values fall back to the default', () => {
+    const score = calculateSessionScore({ user_sentiment: { sentiment: 'confused' } });
+
+    assert.equal(score.breakdown.issueResolution, 0);
+    assert.equal(score.breakdown.responseComponents, 0);
+    assert.equal(score.breakdown.userSentiment, 5 * 0.7);
+    assert.equal(score.totalScore, 3.5);
+});
+
+test('scores against a custom rubric', () => {
+    const rubric = {
+        ...DEFAULT_SCORING_RUBRIC,
+        rubricId: 'resolution-only',
+        components: [{ key: 'issueResolution', weight: 100, field: 'issue_status.status', points: { resolved: 100, unresolved: 0 } }],
+        penalties: {}
+    };
+    const score = calculateSessionScore({ ...perfectAnalysis, overall_latency_classification: 'bad' }, rubric);
+
+    assert.equal(score.totalScore, 100);
+    assert.deepEqual(score.rubric, { rubricId: 'resolution-only', version: 1 });
+});
+
+test('explains every component and penalty the way it was scored', () => {
+    const analysis = normalizeAnalysisResult({
+        ...perfectAnalysis,
+        human_escalation: { is_escalated: 'yes' },
+        user_sentiment: { sentiment: 'confused' },
+        response_quality: { is_clear: 'yes', is_concise: 'no' },
+        overall_latency_classification: 'bad'
+    });
+    const score = calculateSessionScore(analysis);
+    const explanation = explainScoreComponents(analysis);
+
+    assert.equal(explanation.totalScore, score.totalScore);
+    explanation.components.forEach(component => assert.equal(component.contribution, score.breakdown[component.key], component.key));
+    assert.equal(explanation.penalties.reduce((sum, penalty) => sum + penalty.points, 0), score.breakdown.penalties);
+
+    const sentiment = explanation.components.find(component => component.key === 'userSentiment');
+    assert.deepEqual(sentiment.values, [{ field: 'user_sentiment.sentiment', value: 'confused', points: 70, inRubric: false }]);
+    assert.equal(sentiment.weight, 5);
+    assert.match(sentiment.explanation, /"confused" → 70 \(not in the rubric, default points\) points × 5% weight = 3.5/);
+
+    const components = explanation.components.find(component => component.key === 'responseComponents');
+    assert.equal(components.points, 25);
+    assert.equal(components.values.find(entry => entry.field === 'response_quality.is_relevant').value, null);
+
+    assert.deepEqual(explanation.penalties.map(penalty => [penalty.key, penalty.applied, penalty.points]), [
+        ['unnecessaryEscalation', true, -10],
+        ['latency', true, -5]
+    ]);
+});
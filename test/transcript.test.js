@@ -0,0 +1,81 @@
+// Transcript metrics measured from the session documents and the latency cross-check
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { BSON } = require('mongodb');
+
+const { computeTranscriptMetrics, checkLatencyClassification, calculateAggregateStats } = require('../index');
+
+const sessions = BSON.EJSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'chat_sessions.json'), 'utf8'));
+
+const at = seconds => new Date(Date.UTC(2025, 0, 1, 12, 0, seconds)).toISOString();
+
+test('counts turns and measures bot latency percentiles', () => {
+    const metrics = computeTranscriptMetrics({
+        messages: [
+            { role: 'system', content: 'You are a support bot', timestamp: at(0) },
+            { role: 'user', content: 'Hi', timestamp: at(0) },
+            { role: 'user', content: 'My card was declined', timestamp: at(4) },
+            { role: 'assistant', content: 'Sorry to hear that', timestamp: at(10) },
+            { role: 'user', content: 'Can you check?', timestamp: at(20) },
+            { role: 'assistant', content: 'Checking now', timestamp: at(22) },
+            { role: 'user', content: 'Thanks', timestamp: at(30) },
+            { role: 'assistant', content: 'It was a fraud block, now lifted', timestamp: at(50) }
+        ]
+    });
+
+    assert.deepEqual(metrics.turns, { total: 7, user: 4, bot: 3, agent: 0 });
+    // Latency counts from the first unanswered user message
+    assert.deepEqual(metrics.botLatencyMs, { replies: 3, mean: 10667, p50: 10000, p90: 18000, p95: 19000, max: 20000 });
+    assert.equal(metrics.firstResponseMs, 10000);
+    assert.equal(metrics.durationMs, 50000);
+    assert.equal(metrics.measuredLatencyClass, 'average');
+    assert.deepEqual(metrics.messageLength.user, { messages: 4, meanChars: 11, maxChars: 20 });
+    assert.deepEqual(metrics.escalation, { escalated: false, events: [] });
+});
+
+test('records escalation events in transcript order', () => {
+    const [, , escalated] = sessions;
+    const metrics = computeTranscriptMetrics(escalated);
+
+    assert.deepEqual(metrics.escalation.events.map(event => [event.type, event.messageIndex]), [['bot_handoff', 3], ['agent_joined', 4]]);
+    assert.equal(metrics.turns.agent, 1);
+    assert.equal(metrics.measuredLatencyClass, 'bad');
+    assert.ok(computeTranscriptMetrics({ escalated: true, messages: [] }).escalation.escalated);
+});
+
+test('leaves timing metrics empty without timestamps', () => {
+    const metrics = computeTranscriptMetrics({ messages: [{ role: 'user', content: 'hello' }, { role: 'assistant', content: 'hi' }] });
+
+    assert.equal(metrics.firstResponseMs, null);
+    assert.equal(metrics.durationMs, null);
+    assert.equal(metrics.botLatencyMs.p50, null);
+    assert.equal(metrics.measuredLatencyClass, null);
+});
+
+test('cross-checks the judge latency class against the measured one', () => {
+    const metrics = computeTranscriptMetrics(sessions[1]);
+
+    assert.deepEqual(checkLatencyClassification({ overall_latency_classification: 'average' }, metrics), {
+        reported: 'average', measured: 'average', agrees: true, meanBotLatencyMs: 7000
+    });
+    assert.equal(checkLatencyClassification({ overall_latency_classification: 'good' }, metrics).agrees, false);
+    assert.equal(checkLatencyClassification({}, metrics), null);
+});
+
+test('aggregates transcript metrics alongside the judged stats', () => {
+    const results = sessions.map(session => {
+        const transcriptMetrics = computeTranscriptMetrics(session);
+        const analysis = { overall_latency_classification: 'good' };
+        return { analysis, transcriptMetrics, latencyCheck: checkLatencyClassification(analysis, transcriptMetrics) };
+    });
+    const stats = calculateAggregateStats([...results, { analysis: {} }]);
+
+    assert.equal(stats.average_turn_count, 5);
+    assert.equal(stats.average_first_response_ms, 9000);
+    assert.equal(stats.average_bot_latency_p50_ms, 10000);
+    assert.deepEqual(stats.measured_escalation_rate, { yes: 40, no: 40 });
+    assert.deepEqual(stats.measured_latency_distribution, { good: 40, average: 20, bad: 20 });
+    assert.deepEqual(stats.latency_classification_check, { agrees: 40, disagrees: 40 });
+});